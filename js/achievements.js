@@ -0,0 +1,227 @@
+// js/achievements.js
+//
+// Goals beyond the high score. Achievements are checked against each step's
+// simulation events and the run so far; unlocks and lifetime totals are kept
+// in localStorage.
+
+import { LOG_LEVELS } from './constants.js';
+import { log, logError } from './logger.js';
+import {
+  SIM_EVENTS,
+  boxesOverlap,
+  getObstacleBox,
+  getPlayerBox,
+} from './simulation.js';
+import { BIOMES } from './themes.js';
+
+const ACHIEVEMENTS_STORAGE_KEY = 'achievements';
+const ACHIEVEMENTS_VERSION = 1;
+
+const LONG_RUN_TIME = 180000; // milliseconds of play
+
+// `isEarned` receives the simulation, the current run's stats and the
+// lifetime totals. Achievements with a TARGET show `getProgress` toward it.
+export const ACHIEVEMENTS = [
+  {
+    ID: 'score-1000',
+    TITLE: 'Warming Up',
+    DESCRIPTION: 'Score 1,000 points in one run.',
+    isEarned: (sim) => sim.score >= 1000,
+  },
+  {
+    ID: 'score-25000',
+    TITLE: 'Long Haul',
+    DESCRIPTION: 'Score 25,000 points in one run.',
+    isEarned: (sim) => sim.score >= 25000,
+  },
+  {
+    ID: 'clean-streak',
+    TITLE: 'Untouchable',
+    DESCRIPTION: 'Clear 50 obstacles in a row without a near miss.',
+    isEarned: (sim, run) => run.cleanStreak >= 50,
+  },
+  {
+    ID: 'max-speed',
+    TITLE: 'Full Throttle',
+    DESCRIPTION: 'Reach top speed.',
+    // A game that never speeds up has no top speed to reach
+    isEarned: (sim) =>
+      sim.config.GAME.MAX_SPEED > sim.config.GAME.STARTING_SPEED &&
+      sim.baseSpeed >= sim.config.GAME.MAX_SPEED,
+  },
+  {
+    ID: 'no-pause',
+    TITLE: 'Iron Focus',
+    DESCRIPTION: 'Run for three minutes without pausing.',
+    isEarned: (sim, run) => sim.time >= LONG_RUN_TIME && run.pauses === 0,
+  },
+  {
+    ID: 'treats-20',
+    TITLE: 'Good Dog',
+    DESCRIPTION: 'Collect 20 treats in one run.',
+    isEarned: (sim, run) => run.treats >= 20,
+  },
+  {
+    ID: 'all-power-ups',
+    TITLE: 'Fully Loaded',
+    DESCRIPTION: 'Have every power-up active at once.',
+    isEarned: (sim) =>
+      Object.keys(sim.activePowerUps).length ===
+      Object.keys(sim.config.POWER_UPS).length,
+  },
+  {
+    ID: 'world-tour',
+    TITLE: 'World Tour',
+    DESCRIPTION: 'Run through every biome in one run.',
+    isEarned: (sim) =>
+      sim.distanceRan >= sim.config.THEME.BIOME_DISTANCE * (BIOMES.length - 1),
+  },
+  {
+    ID: 'obstacles-1000',
+    TITLE: 'Seasoned Runner',
+    DESCRIPTION: 'Clear 1,000 obstacles over all your runs.',
+    TARGET: 1000,
+    getProgress: (totals) => totals.obstaclesCleared,
+    isEarned: (sim, run, totals) => totals.obstaclesCleared >= 1000,
+  },
+];
+
+const createProgress = () => ({
+  version: ACHIEVEMENTS_VERSION,
+  unlocked: {}, // achievement ID -> ISO date it was unlocked
+  totals: { obstaclesCleared: 0, runs: 0 },
+});
+
+const createRunStats = () => ({
+  pauses: 0,
+  treats: 0,
+  cleanStreak: 0, // obstacles cleared since the last near miss or hit
+  nearMissIds: new Set(),
+});
+
+// The sprites' boxes touched, but their collision shapes did not
+const findNearMisses = (sim) => {
+  const playerBox = getPlayerBox(sim);
+  return sim.obstacles.filter((obstacle) =>
+    boxesOverlap(playerBox, getObstacleBox(sim.config, obstacle))
+  );
+};
+
+export class AchievementTracker {
+  // `onUnlock` receives each achievement as it is unlocked
+  constructor(onUnlock) {
+    this.onUnlock = onUnlock;
+    this.progress = createProgress();
+    this.run = null;
+  }
+
+  load() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(ACHIEVEMENTS_STORAGE_KEY));
+      if (stored && stored.version === ACHIEVEMENTS_VERSION) {
+        const defaults = createProgress();
+        this.progress = {
+          ...defaults,
+          unlocked: { ...stored.unlocked },
+          totals: { ...defaults.totals, ...stored.totals },
+        };
+      }
+    } catch (error) {
+      logError(error);
+    }
+    return this;
+  }
+
+  save() {
+    try {
+      localStorage.setItem(
+        ACHIEVEMENTS_STORAGE_KEY,
+        JSON.stringify(this.progress)
+      );
+    } catch (error) {
+      logError(error);
+    }
+  }
+
+  isUnlocked(id) {
+    return Object.hasOwn(this.progress.unlocked, id);
+  }
+
+  // Every achievement with its unlock date or progress, for the list screen
+  getList() {
+    return ACHIEVEMENTS.map((achievement) => ({
+      ...achievement,
+      unlockedAt: this.progress.unlocked[achievement.ID] || null,
+      progress: achievement.getProgress
+        ? Math.min(
+            achievement.getProgress(this.progress.totals),
+            achievement.TARGET
+          )
+        : null,
+    }));
+  }
+
+  startRun() {
+    this.run = createRunStats();
+  }
+
+  recordPause() {
+    if (this.run) {
+      this.run.pauses++;
+    }
+  }
+
+  // Called after every simulation step of a live run
+  update(sim) {
+    const { run } = this;
+    if (!run) {
+      return;
+    }
+
+    findNearMisses(sim).forEach((obstacle) => {
+      run.nearMissIds.add(obstacle.id);
+    });
+    sim.events.forEach((event) => {
+      switch (event.type) {
+        case SIM_EVENTS.OBSTACLE_CLEARED:
+          this.progress.totals.obstaclesCleared++;
+          run.cleanStreak = run.nearMissIds.delete(event.obstacle.id)
+            ? 0
+            : run.cleanStreak + 1;
+          break;
+        case SIM_EVENTS.HIT:
+          run.cleanStreak = 0;
+          break;
+        case SIM_EVENTS.COLLECTED:
+          if (!event.collectible.type.POWER_UP) {
+            run.treats++;
+          }
+          break;
+      }
+    });
+    this.checkUnlocks(sim);
+  }
+
+  checkUnlocks(sim) {
+    ACHIEVEMENTS.forEach((achievement) => {
+      if (
+        !this.isUnlocked(achievement.ID) &&
+        achievement.isEarned(sim, this.run, this.progress.totals)
+      ) {
+        this.progress.unlocked[achievement.ID] = new Date().toISOString();
+        this.save();
+        log(`Achievement unlocked: ${achievement.TITLE}`, LOG_LEVELS.INFO);
+        this.onUnlock(achievement);
+      }
+    });
+  }
+
+  // Lifetime totals are saved once per run rather than every step
+  finishRun() {
+    if (this.run) {
+      this.progress.totals.runs++;
+      this.save();
+      this.run = null;
+    }
+  }
+}
@@ -0,0 +1,67 @@
+// js/assets.js
+//
+// Every file the game loads. game.js preloads the images, and the service
+// worker caches all of it so the game can be played offline. Sprite sheets
+// are listed in the sprite manifest (see js/sprites.js) instead.
+
+import { THEME_ASSETS } from './themes.js';
+
+export const ASSET_LIST = {
+  images: [
+    'assets/obstacle.png',
+    'assets/obstacle-tall.svg',
+    'assets/obstacle-flying.svg',
+    'assets/treat.svg',
+    'assets/power-slow-motion.svg',
+    'assets/power-shield.svg',
+    'assets/power-multiplier.svg',
+    ...THEME_ASSETS,
+  ],
+  audio: [],
+};
+
+// The page, its styles and scripts, and the app icons. Add new modules here
+// so they are available offline from the first visit.
+export const APP_FILES = [
+  './',
+  'index.html',
+  'manifest.webmanifest',
+  'editor.html',
+  'css/game-styles.css',
+  'css/editor-styles.css',
+  'courses/beach-sprint.json',
+  'courses/first-steps.json',
+  'assets/sprites.json',
+  'assets/icon.svg',
+  'assets/icon-192.png',
+  'assets/icon-512.png',
+  'js/achievements.js',
+  'js/assets.js',
+  'js/audio.js',
+  'js/collision.js',
+  'js/config.js',
+  'js/constants.js',
+  'js/course.js',
+  'js/daily.js',
+  'js/debug.js',
+  'js/editor.js',
+  'js/files.js',
+  'js/game.js',
+  'js/ghost.js',
+  'js/input.js',
+  'js/layout.js',
+  'js/leaderboard.js',
+  'js/logger.js',
+  'js/offline.js',
+  'js/renderer-canvas.js',
+  'js/renderer-dom.js',
+  'js/records.js',
+  'js/replay.js',
+  'js/rng.js',
+  'js/settings.js',
+  'js/simulation.js',
+  'js/sprites.js',
+  'js/telemetry.js',
+  'js/themes.js',
+  'js/two-player.js',
+];
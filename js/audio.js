@@ -0,0 +1,237 @@
+// js/audio.js
+//
+// Web Audio sound effects and background music. Everything is synthesized
+// with oscillators, so there are no audio files to download or decode.
+
+import { LOG_LEVELS } from './constants.js';
+import { log, logError } from './logger.js';
+
+export const SOUNDS = {
+  JUMP: 'jump',
+  ORION_JUMP: 'orionJump',
+  WHISTLE: 'whistle',
+  HIT: 'hit',
+  OBSTACLE_CLEARED: 'obstacleCleared',
+  COLLECT: 'collect',
+  POWER_UP: 'powerUp',
+  SPEED_UP: 'speedUp',
+  CRASH: 'crash',
+  FINISH: 'finish',
+};
+
+// Each sound is a list of tones. Frequencies glide from `from` to `to` (Hz);
+// `delay` and `duration` are in seconds.
+const SOUND_DEFINITIONS = {
+  [SOUNDS.JUMP]: [
+    { wave: 'square', from: 320, to: 640, duration: 0.14, gain: 0.25 },
+  ],
+  [SOUNDS.ORION_JUMP]: [
+    { wave: 'triangle', from: 700, to: 500, duration: 0.06, gain: 0.4 },
+    { wave: 'triangle', from: 760, to: 520, delay: 0.08, duration: 0.06 },
+  ],
+  [SOUNDS.WHISTLE]: [
+    { wave: 'sine', from: 1400, to: 2100, duration: 0.12, gain: 0.3 },
+    { wave: 'sine', from: 2100, to: 1500, delay: 0.14, duration: 0.18 },
+  ],
+  [SOUNDS.HIT]: [
+    { wave: 'square', from: 200, to: 80, duration: 0.2, gain: 0.35 },
+  ],
+  [SOUNDS.OBSTACLE_CLEARED]: [
+    { wave: 'sine', from: 880, to: 880, duration: 0.07, gain: 0.3 },
+    { wave: 'sine', from: 1320, to: 1320, delay: 0.07, duration: 0.1 },
+  ],
+  [SOUNDS.COLLECT]: [
+    { wave: 'triangle', from: 1046, to: 1568, duration: 0.08, gain: 0.3 },
+  ],
+  [SOUNDS.POWER_UP]: [
+    { wave: 'square', from: 523, to: 1046, duration: 0.12, gain: 0.15 },
+    { wave: 'square', from: 659, to: 1318, delay: 0.1, duration: 0.12 },
+    { wave: 'square', from: 784, to: 1568, delay: 0.2, duration: 0.16 },
+  ],
+  [SOUNDS.SPEED_UP]: [
+    { wave: 'square', from: 440, to: 440, duration: 0.06, gain: 0.15 },
+    { wave: 'square', from: 554, to: 554, delay: 0.06, duration: 0.06 },
+    { wave: 'square', from: 659, to: 659, delay: 0.12, duration: 0.1 },
+  ],
+  [SOUNDS.CRASH]: [
+    { wave: 'sawtooth', from: 240, to: 40, duration: 0.45, gain: 0.4 },
+    { wave: 'square', from: 90, to: 30, delay: 0.05, duration: 0.4 },
+  ],
+  [SOUNDS.FINISH]: [
+    { wave: 'triangle', from: 523, to: 523, duration: 0.12, gain: 0.35 },
+    { wave: 'triangle', from: 659, to: 659, delay: 0.12, duration: 0.12 },
+    { wave: 'triangle', from: 784, to: 784, delay: 0.24, duration: 0.12 },
+    { wave: 'triangle', from: 1046, to: 1046, delay: 0.36, duration: 0.4 },
+  ],
+};
+
+// A two-bar loop of eighth notes; 0 is a rest. Frequencies in Hz.
+const MUSIC = {
+  TEMPO: 140, // beats per minute
+  MELODY: [523, 0, 659, 784, 0, 659, 587, 0, 494, 0, 587, 698, 0, 587, 523, 0],
+  BASS: [
+    131, 131, 196, 196, 165, 165, 196, 196, 123, 123, 175, 175, 147, 147, 175,
+    175,
+  ],
+  LOOKAHEAD: 0.1, // seconds of notes scheduled in advance
+  SCHEDULER_INTERVAL: 25, // milliseconds
+};
+
+const clampVolume = (value) => Math.min(Math.max(Number(value) || 0, 0), 1);
+
+export class AudioManager {
+  // `settings` holds master, music and sfx volumes plus `muted`. It is
+  // updated in place, so the caller can persist it after a change.
+  constructor(settings) {
+    this.settings = settings;
+    this.context = null;
+    this.masterGain = null;
+    this.musicGain = null;
+    this.sfxGain = null;
+    this.musicTimer = null;
+    this.musicStep = 0;
+    this.nextNoteTime = 0;
+  }
+
+  // Browsers only allow audio after a user gesture, so the context is created
+  // on the first key press or tap rather than at load time.
+  unlock() {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) {
+      return;
+    }
+
+    try {
+      if (!this.context) {
+        this.context = new AudioContextClass();
+        this.masterGain = this.context.createGain();
+        this.musicGain = this.context.createGain();
+        this.sfxGain = this.context.createGain();
+        this.musicGain.connect(this.masterGain);
+        this.sfxGain.connect(this.masterGain);
+        this.masterGain.connect(this.context.destination);
+        this.applySettings();
+        log('Audio context created.', LOG_LEVELS.INFO);
+      }
+      if (this.context.state === 'suspended') {
+        this.context.resume();
+      }
+    } catch (error) {
+      logError(error);
+    }
+  }
+
+  applySettings() {
+    if (!this.context) {
+      return;
+    }
+    const { master, music, sfx, muted } = this.settings;
+    const now = this.context.currentTime;
+    this.masterGain.gain.setValueAtTime(muted ? 0 : master, now);
+    this.musicGain.gain.setValueAtTime(music, now);
+    this.sfxGain.gain.setValueAtTime(sfx, now);
+  }
+
+  // `channel` is one of 'master', 'music' or 'sfx'
+  setVolume(channel, value) {
+    this.settings[channel] = clampVolume(value);
+    this.applySettings();
+  }
+
+  toggleMute() {
+    this.settings.muted = !this.settings.muted;
+    this.applySettings();
+    log(`Audio ${this.settings.muted ? 'muted' : 'unmuted'}.`, LOG_LEVELS.INFO);
+    return this.settings.muted;
+  }
+
+  playTone(destination, time, tone, defaultGain) {
+    const { wave, from, to, delay = 0, duration, gain = defaultGain } = tone;
+    const start = time + delay;
+    const oscillator = this.context.createOscillator();
+    const envelope = this.context.createGain();
+
+    oscillator.type = wave;
+    oscillator.frequency.setValueAtTime(from, start);
+    oscillator.frequency.exponentialRampToValueAtTime(to, start + duration);
+    envelope.gain.setValueAtTime(gain, start);
+    envelope.gain.exponentialRampToValueAtTime(0.001, start + duration);
+
+    oscillator.connect(envelope);
+    envelope.connect(destination);
+    oscillator.start(start);
+    oscillator.stop(start + duration);
+    return gain;
+  }
+
+  play(name) {
+    const tones = SOUND_DEFINITIONS[name];
+    if (!this.context || !tones) {
+      return;
+    }
+    const now = this.context.currentTime;
+    let gain = 0.3;
+    tones.forEach((tone) => {
+      // Later tones inherit the gain of the one before unless they set their own
+      gain = this.playTone(this.sfxGain, now, tone, gain);
+    });
+  }
+
+  scheduleMusic() {
+    const stepDuration = 60 / MUSIC.TEMPO / 2;
+    while (this.nextNoteTime < this.context.currentTime + MUSIC.LOOKAHEAD) {
+      const step = this.musicStep % MUSIC.MELODY.length;
+      const melody = MUSIC.MELODY[step];
+      const bass = MUSIC.BASS[step];
+      const duration = stepDuration * 0.9;
+      if (melody) {
+        this.playTone(this.musicGain, this.nextNoteTime, {
+          wave: 'square',
+          from: melody,
+          to: melody,
+          duration,
+          gain: 0.12,
+        });
+      }
+      if (bass) {
+        this.playTone(this.musicGain, this.nextNoteTime, {
+          wave: 'triangle',
+          from: bass,
+          to: bass,
+          duration,
+          gain: 0.25,
+        });
+      }
+      this.nextNoteTime += stepDuration;
+      this.musicStep++;
+    }
+  }
+
+  startMusic() {
+    this.musicStep = 0;
+    this.resumeMusic();
+  }
+
+  // Picks the loop up from the step it was paused on
+  resumeMusic() {
+    if (!this.context || this.musicTimer) {
+      return;
+    }
+    this.nextNoteTime = this.context.currentTime;
+    this.scheduleMusic();
+    this.musicTimer = setInterval(
+      () => this.scheduleMusic(),
+      MUSIC.SCHEDULER_INTERVAL
+    );
+  }
+
+  pauseMusic() {
+    clearInterval(this.musicTimer);
+    this.musicTimer = null;
+  }
+
+  stopMusic() {
+    this.pauseMusic();
+    this.musicStep = 0;
+  }
+}
@@ -0,0 +1,180 @@
+// js/collision.js
+//
+// Pixel-accurate collision shapes. When the sprite sheets load, each frame's
+// alpha channel is reduced to a mask of opaque spans, one per row. The
+// simulation then tests characters and obstacles against the frame on screen
+// instead of a box shrunk by a fixed factor. Masks are kept in the config as
+// plain numbers, so recordings carry them and replay the same from Node.
+
+import { LOG_LEVELS } from './constants.js';
+import { log, logError } from './logger.js';
+import { ANIMATIONS } from './sprites.js';
+
+// Resolution of a frame's mask. Spans are measured in columns.
+export const MASK_ROWS = 32;
+export const MASK_COLUMNS = 32;
+
+// Cells at least this opaque, out of 255, count as solid
+const ALPHA_THRESHOLD = 128;
+
+// Every sprite animation is masked, under its ANIMATIONS key in HIT_MASKS.
+// Of the obstacles, only these types are; the others keep a reduced box.
+// Biome variants of a sprite share its shape.
+const MASKED_OBSTACLES = ['LOW_HURDLE'];
+
+// ----------------------------------------
+// Extraction
+// ----------------------------------------
+
+// Each row of each frame becomes [start, end) in columns, or [0, 0] if empty.
+// `rects` are the frames' places in the image, from the sprite manifest.
+const readSheetMasks = (image, rects) => {
+  const frames = rects.length;
+  const canvas = document.createElement('canvas');
+  canvas.width = MASK_COLUMNS * frames;
+  canvas.height = MASK_ROWS;
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  // Scaling down averages each cell's alpha
+  rects.forEach((rect, frame) =>
+    context.drawImage(
+      image,
+      rect.x,
+      rect.y,
+      rect.width,
+      rect.height,
+      frame * MASK_COLUMNS,
+      0,
+      MASK_COLUMNS,
+      MASK_ROWS
+    )
+  );
+  const { data } = context.getImageData(0, 0, canvas.width, canvas.height);
+  const isSolid = (x, y) =>
+    data[(y * canvas.width + x) * 4 + 3] >= ALPHA_THRESHOLD;
+
+  return Array.from({ length: frames }, (_, frame) =>
+    Array.from({ length: MASK_ROWS }, (_, y) => {
+      const columns = [];
+      for (let column = 0; column < MASK_COLUMNS; column++) {
+        if (isSolid(frame * MASK_COLUMNS + column, y)) {
+          columns.push(column);
+        }
+      }
+      return columns.length
+        ? [columns[0], columns[columns.length - 1] + 1]
+        : [0, 0];
+    })
+  );
+};
+
+/**
+ * Returns the masks for the config's HIT_MASKS, or null if the images cannot
+ * be read (e.g. pages opened from file://, where canvases are tainted).
+ * `getImage(src)` returns a loaded image; sheets that are missing are left
+ * out and fall back to their reduced box.
+ */
+export const createHitMasks = (config, getImage) => {
+  // `getRects(image)` lists the frames in the image
+  const read = (src, getRects) => {
+    const image = getImage(src);
+    if (!image) {
+      log(`No image to mask: ${src}`, LOG_LEVELS.WARN);
+      return null;
+    }
+    return readSheetMasks(image, getRects(image));
+  };
+
+  try {
+    const masks = { OBSTACLES: {} };
+    Object.entries(ANIMATIONS).forEach(([key, name]) => {
+      const animation = config.SPRITES[name];
+      const frames = read(animation.image, () => animation.frames);
+      if (frames) {
+        masks[key] = frames;
+      }
+    });
+    MASKED_OBSTACLES.forEach((key) => {
+      const type = config.OBSTACLE.TYPES[key];
+      const frames = read(type.SPRITE, (image) => [
+        { x: 0, y: 0, width: image.naturalWidth, height: image.naturalHeight },
+      ]);
+      if (frames) {
+        masks.OBSTACLES[type.NAME] = frames[0];
+      }
+    });
+    log('Hit masks extracted from the sprite sheets.', LOG_LEVELS.INFO);
+    return masks;
+  } catch (error) {
+    logError(error);
+    log('Hit masks unavailable; using reduced boxes.', LOG_LEVELS.WARN);
+    return null;
+  }
+};
+
+// ----------------------------------------
+// Overlap Tests
+// ----------------------------------------
+
+export const boxesOverlap = (a, b) =>
+  a.left + a.width > b.left &&
+  a.left < b.left + b.width &&
+  a.bottom + a.height > b.bottom &&
+  a.bottom < b.bottom + b.height;
+
+/**
+ * Horizontal extent of a shape at height `y` as [left, right], or null where
+ * that row of its mask is empty. A shape is `{ box, mask }`; a null mask
+ * fills the whole box. Mask row 0 is the top of the sprite.
+ */
+export const getShapeSpan = ({ box, mask }, y) => {
+  if (!mask) {
+    return [box.left, box.left + box.width];
+  }
+  const row = Math.min(
+    Math.floor(((box.bottom + box.height - y) / box.height) * mask.length),
+    mask.length - 1
+  );
+  const [start, end] = mask[Math.max(row, 0)];
+  if (start >= end) {
+    return null;
+  }
+  const scale = box.width / MASK_COLUMNS;
+  return [box.left + start * scale, box.left + end * scale];
+};
+
+/**
+ * True if two shapes touch. Their boxes are compared first; where they
+ * overlap, the spans are compared at the middle of every row of the finer
+ * mask.
+ */
+export const shapesOverlap = (a, b) => {
+  if (!boxesOverlap(a.box, b.box)) {
+    return false;
+  }
+  if (!a.mask && !b.mask) {
+    return true;
+  }
+
+  const bottom = Math.max(a.box.bottom, b.box.bottom);
+  const top = Math.min(
+    a.box.bottom + a.box.height,
+    b.box.bottom + b.box.height
+  );
+  const rowHeight = Math.min(
+    ...[a, b]
+      .filter((shape) => shape.mask)
+      .map((shape) => shape.box.height / shape.mask.length)
+  );
+  for (
+    let y = bottom + Math.min(rowHeight, top - bottom) / 2;
+    y < top;
+    y += rowHeight
+  ) {
+    const spanA = getShapeSpan(a, y);
+    const spanB = getShapeSpan(b, y);
+    if (spanA && spanB && spanA[0] < spanB[1] && spanB[0] < spanA[1]) {
+      return true;
+    }
+  }
+  return false;
+};
@@ -0,0 +1,319 @@
+// js/config.js
+
+import { ACTIONS, LOG_LEVELS } from './constants.js';
+import { log } from './logger.js';
+import { ANIMATIONS } from './sprites.js';
+
+// ----------------------------------------
+// CSS Helpers
+// ----------------------------------------
+
+export const getCSSVariable = (variableName) =>
+  getComputedStyle(document.documentElement)
+    .getPropertyValue(variableName)
+    .trim();
+
+export const cssTimeToMs = (cssTime) => {
+  if (cssTime.endsWith('ms')) {
+    return parseFloat(cssTime);
+  } else if (cssTime.endsWith('s')) {
+    return parseFloat(cssTime) * 1000;
+  }
+  return parseFloat(cssTime);
+};
+
+export const parseCSSValue = (value, viewport) => {
+  value = value.trim();
+  if (value.endsWith('px')) {
+    return parseFloat(value);
+  } else if (value.endsWith('vw')) {
+    return (parseFloat(value) / 100) * viewport.width;
+  } else if (value.endsWith('vh')) {
+    return (parseFloat(value) / 100) * viewport.height;
+  } else if (value.endsWith('%')) {
+    return parseFloat(value);
+  } else {
+    log(`Unsupported CSS unit in value: ${value}`, LOG_LEVELS.WARN);
+    return parseFloat(value);
+  }
+};
+
+// ----------------------------------------
+// Configuration
+// ----------------------------------------
+
+// CSS custom properties the configuration is built from. Sprite sizes and
+// frames come from the sprite manifest instead (see js/sprites.js).
+export const CSS_VARIABLES = {
+  playerLeft: '--player-left',
+  playerDuckHeight: '--player-duck-height',
+  orionLeft: '--orion-left',
+  obstacleWidth: '--obstacle-width',
+  obstacleHeight: '--obstacle-height',
+  obstacleTallWidth: '--obstacle-tall-width',
+  obstacleTallHeight: '--obstacle-tall-height',
+  obstacleFlyingWidth: '--obstacle-flying-width',
+  obstacleFlyingHeight: '--obstacle-flying-height',
+  groundLevel: '--ground-level',
+  jumpHeight: '--jump-height',
+  jumpDuration: '--jump-duration',
+  fps: '--fps',
+};
+
+export const readCSSVars = () =>
+  Object.fromEntries(
+    Object.entries(CSS_VARIABLES).map(([key, name]) => [
+      key,
+      getCSSVariable(name),
+    ])
+  );
+
+const getAnchor = (animation) => ({
+  X: animation.anchor.x,
+  Y: animation.anchor.y,
+});
+
+/**
+ * Builds the game configuration from raw CSS variable strings, a viewport
+ * size and the sprite manifest's animations. Kept free of DOM access so the
+ * simulation can be configured in Node.
+ */
+export const createConfig = (cssVars, viewport, animations) => {
+  const px = (value) => parseCSSValue(value, viewport);
+  const run = animations[ANIMATIONS.PLAYER_RUN];
+  const jump = animations[ANIMATIONS.PLAYER_JUMP];
+  const orion = animations[ANIMATIONS.ORION];
+
+  return {
+    PLAYER: {
+      WIDTH: run.width,
+      HEIGHT: run.height,
+      ANCHOR: getAnchor(run),
+      INITIAL_LEFT: px(cssVars.playerLeft),
+      JUMP_WIDTH: jump.width,
+      JUMP_HEIGHT: jump.height,
+      JUMP_ANCHOR: getAnchor(jump),
+      DUCK_HEIGHT: px(cssVars.playerDuckHeight),
+      HITBOX_REDUCTION: 0.4,
+    },
+    ORION: {
+      WIDTH: orion.width,
+      HEIGHT: orion.height,
+      ANCHOR: getAnchor(orion),
+      INITIAL_LEFT: px(cssVars.orionLeft),
+      HITBOX_REDUCTION: 0.3,
+      // Orion reacts later and misjudges more often as the game speeds up.
+      // Values are interpolated from STARTING_SPEED to MAX_SPEED.
+      REACTION_DELAY: { MIN: 0, MAX: 150 }, // milliseconds
+      ERROR_RATE: { MIN: 0.02, MAX: 0.12 }, // chance of missing an obstacle
+      // Set in Two Players mode, where Orion only jumps when player two does
+      PLAYER_CONTROLLED: false,
+    },
+    OBSTACLE: {
+      WIDTH: px(cssVars.obstacleWidth),
+      HEIGHT: px(cssVars.obstacleHeight),
+      INITIAL_LEFT: viewport.width,
+      POOL_SIZE: 6,
+      FIRST_SPAWN_DELAY: 100, // pixels travelled before the first obstacle
+      MIN_GAP_FACTOR: 1.2, // multiples of the distance covered by one jump
+      MAX_GAP_FACTOR: 2.5,
+      // ELEVATION is a fraction of the player height above the obstacle floor.
+      // CLEARED_BY tells Orion whether it has to jump or can run underneath.
+      TYPES: {
+        LOW_HURDLE: {
+          NAME: 'low-hurdle',
+          WIDTH: px(cssVars.obstacleWidth),
+          HEIGHT: px(cssVars.obstacleHeight),
+          ELEVATION: 0,
+          SPRITE: 'assets/obstacle.png',
+          HITBOX_REDUCTION: 0.2,
+          BONUS: 100,
+          CLEARED_BY: ACTIONS.JUMP,
+          SPAWN_WEIGHT: 5,
+        },
+        TALL_HURDLE: {
+          NAME: 'tall-hurdle',
+          WIDTH: px(cssVars.obstacleTallWidth),
+          HEIGHT: px(cssVars.obstacleTallHeight),
+          ELEVATION: 0,
+          SPRITE: 'assets/obstacle-tall.svg',
+          HITBOX_REDUCTION: 0.15,
+          BONUS: 150,
+          CLEARED_BY: ACTIONS.JUMP,
+          SPAWN_WEIGHT: 2,
+        },
+        FLYING: {
+          NAME: 'flying',
+          WIDTH: px(cssVars.obstacleFlyingWidth),
+          HEIGHT: px(cssVars.obstacleFlyingHeight),
+          ELEVATION: 0.25,
+          SPRITE: 'assets/obstacle-flying.svg',
+          HITBOX_REDUCTION: 0.2,
+          BONUS: 150,
+          CLEARED_BY: ACTIONS.DUCK,
+          SPAWN_WEIGHT: 2,
+        },
+      },
+    },
+    COLLECTIBLE: {
+      POOL_SIZE: 4,
+      SPAWN_CHANCE: 0.5, // chance of a collectible halfway to the next obstacle
+      // ELEVATION is a fraction of the jump height above the ground; power-ups
+      // float high enough that the player has to jump for them.
+      // POWER_UP names an entry of POWER_UPS, or null for plain points.
+      TYPES: {
+        TREAT: {
+          NAME: 'treat',
+          WIDTH: 48,
+          HEIGHT: 32,
+          ELEVATION: 0.3,
+          SPRITE: 'assets/treat.svg',
+          POINTS: 50,
+          POWER_UP: null,
+          SPAWN_WEIGHT: 6,
+        },
+        SLOW_MOTION: {
+          NAME: 'slow-motion',
+          WIDTH: 44,
+          HEIGHT: 44,
+          ELEVATION: 1,
+          SPRITE: 'assets/power-slow-motion.svg',
+          POINTS: 0,
+          POWER_UP: 'SLOW_MOTION',
+          SPAWN_WEIGHT: 1,
+        },
+        SHIELD: {
+          NAME: 'shield',
+          WIDTH: 44,
+          HEIGHT: 44,
+          ELEVATION: 1,
+          SPRITE: 'assets/power-shield.svg',
+          POINTS: 0,
+          POWER_UP: 'SHIELD',
+          SPAWN_WEIGHT: 1,
+        },
+        MULTIPLIER: {
+          NAME: 'multiplier',
+          WIDTH: 44,
+          HEIGHT: 44,
+          ELEVATION: 1,
+          SPRITE: 'assets/power-multiplier.svg',
+          POINTS: 0,
+          POWER_UP: 'MULTIPLIER',
+          SPAWN_WEIGHT: 1,
+        },
+      },
+    },
+    // DURATION is in milliseconds of play, or null to last until used
+    POWER_UPS: {
+      SLOW_MOTION: { LABEL: 'Slow', DURATION: 5000, SPEED_FACTOR: 0.6 },
+      SHIELD: { LABEL: 'Shield', DURATION: null },
+      MULTIPLIER: { LABEL: 'x2', DURATION: 8000, SCORE_FACTOR: 2 },
+    },
+    GAME: {
+      STARTING_SPEED: 400, // pixels per second
+      MAX_SPEED: 800, // pixels per second
+      ACCELERATION: 10, // pixels per second squared
+      GROUND_LEVEL: px(cssVars.groundLevel),
+      CONTAINER_WIDTH: viewport.width,
+      CONTAINER_HEIGHT: viewport.height,
+      SPEED_INCREMENT_INTERVAL: 5000, // milliseconds
+      SPEED_INCREMENT_AMOUNT: 20, // pixels per second
+      COLLISION_GRACE_PERIOD: 500, // milliseconds
+      LIVES: 1, // shared by the player and Orion
+      HIT_GRACE_PERIOD: 1500, // milliseconds without collisions after a hit
+    },
+    JUMP: {
+      MAX_HEIGHT: px(cssVars.jumpHeight),
+      DURATION: cssTimeToMs(cssVars.jumpDuration),
+      // Releasing jump on the way up cuts the arc short, but not below this
+      // fraction of MAX_HEIGHT
+      MIN_HEIGHT_FACTOR: 0.5,
+      DOUBLE_JUMP: false,
+      DOUBLE_JUMP_HEIGHT_FACTOR: 0.7,
+    },
+    DUCK: {
+      DURATION: 800, // milliseconds
+    },
+    INPUT: {
+      SWIPE_THRESHOLD: 40, // pixels of downward travel that count as a swipe
+    },
+    SCORING: {
+      POINTS_PER_SECOND: 1,
+    },
+    BACKGROUND: {
+      INITIAL_DURATION_SKY: 16, // default sky animation duration
+      INITIAL_DURATION_GROUND: 8, // default ground animation duration
+    },
+    // Distances are in pixels run; biomes are listed in js/themes.js
+    THEME: {
+      BIOME_DISTANCE: 15000,
+      CROSSFADE_DISTANCE: 2000, // the end of a biome that fades into the next
+      DAY_DISTANCE: 60000, // one full day and night
+      MAX_NIGHT_TINT: 0.5, // opacity of the tint at midnight
+      FIRST_BIOME: 0, // index of the biome runs start in, see themes.js
+    },
+    FPS: parseFloat(cssVars.fps) || 60,
+    GAME_LOOP: {
+      MAX_FRAME_SKIP: 5,
+      EMPIRICAL_ADJUSTMENT_FACTOR: 0.3,
+    },
+    // Frame rects and durations by animation name. Recordings keep them, so
+    // the frames collisions are tested against replay the same.
+    SPRITES: structuredClone(animations),
+  };
+};
+
+// Calls `visit(path, value)` for every number in a config object
+const forEachNumber = (object, visit, path = []) => {
+  Object.entries(object).forEach(([key, value]) => {
+    if (typeof value === 'number') {
+      visit([...path, key], value);
+    } else if (value && typeof value === 'object') {
+      forEachNumber(value, visit, [...path, key]);
+    }
+  });
+};
+
+const getPath = (object, path) =>
+  path.reduce((value, key) => (value ? value[key] : undefined), object);
+
+/**
+ * Returns a copy of `config` fitted to a new viewport. Values that depend on
+ * the viewport (container size and anything set in vw or vh) are scaled by
+ * how much they change between the old and new viewport, so adjustments made
+ * on top of the CSS values, such as a difficulty's jump height, carry over.
+ */
+export const resizeConfig = (config, cssVars, viewport) => {
+  const before = createConfig(
+    cssVars,
+    {
+      width: config.GAME.CONTAINER_WIDTH,
+      height: config.GAME.CONTAINER_HEIGHT,
+    },
+    config.SPRITES
+  );
+  const after = createConfig(cssVars, viewport, config.SPRITES);
+  const resized = structuredClone(config);
+
+  forEachNumber(after, (path, value) => {
+    const previous = getPath(before, path);
+    const parent = getPath(resized, path.slice(0, -1));
+    const key = path[path.length - 1];
+    if (previous === value || !parent || typeof parent[key] !== 'number') {
+      return;
+    }
+    parent[key] = previous ? (parent[key] * value) / previous : value;
+  });
+  return resized;
+};
+
+// `path` lists the keys leading to a value, e.g. ['JUMP', 'DURATION']
+export const getConfigValue = (config, path) => getPath(config, path);
+
+// Returns a copy of `config` with the value at `path` replaced
+export const withConfigValue = (config, path, value) => {
+  const updated = structuredClone(config);
+  getPath(updated, path.slice(0, -1))[path[path.length - 1]] = value;
+  return updated;
+};
@@ -0,0 +1,38 @@
+// js/constants.js
+
+// ----------------------------------------
+// Constants and Enumerations
+// ----------------------------------------
+
+export const GAME_STATES = {
+  INITIAL: 'initial',
+  PLAYING: 'playing',
+  PAUSED: 'paused',
+  CRASHED: 'crashed',
+  FINISHED: 'finished', // a course run crossed the finish line
+};
+
+export const GAME_MODES = {
+  ENDLESS: 'endless',
+  DAILY: 'daily',
+  COURSE: 'course',
+  TWO_PLAYER: 'two-player', // player two jumps for Orion
+};
+
+export const ACTIONS = {
+  START: 'START',
+  PAUSE: 'PAUSE',
+  RESUME: 'RESUME',
+  JUMP: 'JUMP',
+  JUMP_RELEASE: 'JUMP_RELEASE',
+  DUCK: 'DUCK',
+  WHISTLE: 'WHISTLE',
+  ORION_JUMP: 'ORION_JUMP', // player two, in Two Players mode
+  RESIZE: 'RESIZE',
+};
+
+export const LOG_LEVELS = {
+  INFO: 'info',
+  WARN: 'warn',
+  ERROR: 'error',
+};
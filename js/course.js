@@ -0,0 +1,230 @@
+// js/course.js
+//
+// Courses: hand-made runs for Course mode, written as JSON and made with the
+// course editor (editor.html). A course places obstacles and collectibles by
+// distance, sets the speed of each stretch, picks the biome and ends at a
+// finish line, where the run is won. Distances are in pixels run, like the
+// rest of the game's. The best score on each course is kept in localStorage.
+
+import { logError } from './logger.js';
+import { BestScores } from './records.js';
+import { BIOMES } from './themes.js';
+import { DIFFICULTIES, applyDifficulty } from './settings.js';
+
+export const COURSE_VERSION = 1;
+
+// The courses Course mode offers, besides any loaded from a file
+export const COURSE_FILES = [
+  'courses/first-steps.json',
+  'courses/beach-sprint.json',
+];
+
+// Opening the game with ?playtest=<distance> plays the editor's draft from
+// that far along
+export const PLAYTEST_PARAM = 'playtest';
+
+const COURSE_DRAFT_KEY = 'courseDraft';
+const COURSE_RECORDS_KEY = 'courseRecords';
+const COURSE_RECORDS_VERSION = 1;
+
+const MAX_LIVES = 9;
+
+// ----------------------------------------
+// Format
+// ----------------------------------------
+
+export const createEmptyCourse = () => ({
+  version: COURSE_VERSION,
+  name: 'New Course',
+  theme: BIOMES[0].NAME,
+  finish: 10000,
+  lives: 1,
+  speeds: [{ at: 0, speed: 400 }],
+  obstacles: [],
+  collectibles: [],
+});
+
+// Key of the config type named `name`, e.g. 'low-hurdle' -> 'LOW_HURDLE'
+const findTypeKey = (types, name) =>
+  Object.keys(types).find((key) => types[key].NAME === name);
+
+const isDistance = (value) => Number.isFinite(value) && value >= 0;
+
+const byDistance = (a, b) => a.at - b.at;
+
+// Checks the placements in `list` and returns them sorted by distance
+const readItems = (list, label, types) => {
+  if (!Array.isArray(list)) {
+    throw new Error(`The course's ${label} must be a list.`);
+  }
+  return list
+    .map((item) => {
+      if (!item || !isDistance(item.at)) {
+        throw new Error(
+          `Each of the course's ${label} needs an "at" of 0 or more.`
+        );
+      }
+      if (!findTypeKey(types, item.type)) {
+        throw new Error(`Unknown type in the course's ${label}: ${item.type}`);
+      }
+      return { at: item.at, type: item.type };
+    })
+    .sort(byDistance);
+};
+
+const readSpeeds = (list) => {
+  if (!Array.isArray(list) || !list.length) {
+    throw new Error('The course needs at least one speed.');
+  }
+  const speeds = list
+    .map((segment) => {
+      if (
+        !segment ||
+        !isDistance(segment.at) ||
+        !Number.isFinite(segment.speed) ||
+        segment.speed <= 0
+      ) {
+        throw new Error('Each speed needs an "at" and a "speed" above 0.');
+      }
+      return { at: segment.at, speed: segment.speed };
+    })
+    .sort(byDistance);
+  if (speeds[0].at !== 0) {
+    throw new Error('The first speed has to start at 0.');
+  }
+  return speeds;
+};
+
+/**
+ * Checks a course object against `config`, which has the obstacle and
+ * collectible types it may use, and returns a copy with its lists sorted by
+ * distance. Throws an Error describing the first problem found.
+ */
+export const checkCourse = (course, config) => {
+  if (!course || typeof course !== 'object') {
+    throw new Error('A course must be a JSON object.');
+  }
+  if (course.version !== COURSE_VERSION) {
+    throw new Error(`Unsupported course version: ${course.version}`);
+  }
+  if (typeof course.name !== 'string' || !course.name.trim()) {
+    throw new Error('The course needs a name.');
+  }
+  if (!BIOMES.some((biome) => biome.NAME === course.theme)) {
+    throw new Error(`Unknown course theme: ${course.theme}`);
+  }
+  if (!Number.isFinite(course.finish) || course.finish <= 0) {
+    throw new Error('The course needs a finish above 0.');
+  }
+  const lives = course.lives ?? 1;
+  if (!Number.isInteger(lives) || lives < 1 || lives > MAX_LIVES) {
+    throw new Error(`Lives must be a whole number from 1 to ${MAX_LIVES}.`);
+  }
+  return {
+    version: COURSE_VERSION,
+    name: course.name.trim(),
+    theme: course.theme,
+    finish: course.finish,
+    lives,
+    speeds: readSpeeds(course.speeds),
+    obstacles: readItems(course.obstacles, 'obstacles', config.OBSTACLE.TYPES),
+    collectibles: readItems(
+      course.collectibles,
+      'collectibles',
+      config.COLLECTIBLE.TYPES
+    ),
+  };
+};
+
+export const parseCourse = (json, config) =>
+  checkCourse(JSON.parse(json), config);
+
+/**
+ * Returns the config for playing `course` from `start` pixels along: the
+ * Normal preset with the course's lives and biome, and its placements and
+ * speeds under COURSE, where the simulation reads them. Like the Daily Run,
+ * the difficulty setting does not apply, so everyone plays the same course.
+ */
+export const createCourseConfig = (config, course, start = 0) => {
+  const courseConfig = applyDifficulty(config, {
+    difficulty: DIFFICULTIES.NORMAL,
+  });
+  const { OBSTACLE, COLLECTIBLE, THEME } = courseConfig;
+  const toItems = (items, types) =>
+    items.map((item) => ({ AT: item.at, TYPE: findTypeKey(types, item.type) }));
+
+  courseConfig.GAME.LIVES = course.lives;
+  THEME.FIRST_BIOME = BIOMES.findIndex((biome) => biome.NAME === course.theme);
+  // The course keeps its biome up to the finish line
+  THEME.BIOME_DISTANCE = Math.max(
+    THEME.BIOME_DISTANCE,
+    course.finish + THEME.CROSSFADE_DISTANCE
+  );
+  courseConfig.COURSE = {
+    NAME: course.name,
+    START: Math.min(Math.max(start, 0), course.finish),
+    FINISH: course.finish,
+    SPEEDS: course.speeds.map(({ at, speed }) => ({ AT: at, SPEED: speed })),
+    OBSTACLES: toItems(course.obstacles, OBSTACLE.TYPES),
+    COLLECTIBLES: toItems(course.collectibles, COLLECTIBLE.TYPES),
+  };
+  return courseConfig;
+};
+
+// ----------------------------------------
+// Loading
+// ----------------------------------------
+
+export const loadCourse = async (file, config) => {
+  const response = await fetch(file);
+  if (!response.ok) {
+    throw new Error(`Failed to load ${file}: ${response.status}`);
+  }
+  return parseCourse(await response.text(), config);
+};
+
+// The built-in courses; one that fails to load is left out
+export const loadCourses = async (config) => {
+  const results = await Promise.allSettled(
+    COURSE_FILES.map((file) => loadCourse(file, config))
+  );
+  return results
+    .filter((result) => {
+      if (result.status === 'rejected') {
+        logError(result.reason);
+      }
+      return result.status === 'fulfilled';
+    })
+    .map((result) => result.value);
+};
+
+// The course being made in the editor, which test plays read
+export const saveCourseDraft = (course) => {
+  try {
+    localStorage.setItem(COURSE_DRAFT_KEY, JSON.stringify(course));
+  } catch (error) {
+    logError(error);
+  }
+};
+
+// Returns null if there is no draft or it is not a valid course
+export const loadCourseDraft = (config) => {
+  try {
+    const json = localStorage.getItem(COURSE_DRAFT_KEY);
+    return json ? parseCourse(json, config) : null;
+  } catch (error) {
+    logError(error);
+    return null;
+  }
+};
+
+export const getPlaytestURL = (start) =>
+  `index.html?${PLAYTEST_PARAM}=${Math.round(start)}`;
+
+// ----------------------------------------
+// Records
+// ----------------------------------------
+
+// Best scores of finished runs, by course name
+export const createCourseRecords = () =>
+  new BestScores(COURSE_RECORDS_KEY, COURSE_RECORDS_VERSION, 'course');
@@ -0,0 +1,133 @@
+// js/daily.js
+//
+// The Daily Run: one course a day, the same for everyone. The date picks the
+// seed, and the seed picks the obstacle layout, the speed curve and the biome
+// the run starts in. Days follow UTC so players in different time zones get
+// the same course. The day's best score and attempt count are kept in
+// localStorage.
+
+import { LOG_LEVELS } from './constants.js';
+import { log } from './logger.js';
+import { isScore, loadRecord, saveRecord } from './records.js';
+import { createRandom } from './rng.js';
+import { BIOMES } from './themes.js';
+import { DIFFICULTIES, applyDifficulty } from './settings.js';
+
+const DAILY_STORAGE_KEY = 'dailyRun';
+const DAILY_VERSION = 1;
+
+const DAY_LENGTH = 24 * 60 * 60 * 1000; // milliseconds
+
+// Ranges the day's speed curve is drawn from, around the Normal preset
+const DAILY_SPEED_RANGES = {
+  STARTING_SPEED: { MIN: 360, MAX: 460 },
+  SPEED_INCREMENT_INTERVAL: { MIN: 4000, MAX: 6000 },
+  SPEED_INCREMENT_AMOUNT: { MIN: 15, MAX: 30 },
+};
+
+// Top speed as a multiple of the starting speed
+const DAILY_MAX_SPEED_FACTOR = 2;
+
+// The UTC date, e.g. '2024-05-17', which names the day's course
+export const getDailyKey = (date = new Date()) =>
+  date.toISOString().slice(0, 10);
+
+// FNV-1a hash of the key, so each day gets an unrelated 32-bit seed
+export const getDailySeed = (key) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < key.length; i++) {
+    hash = Math.imul(hash ^ key.charCodeAt(i), 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+export const getTimeUntilNextDaily = (now = new Date()) =>
+  DAY_LENGTH - (now.getTime() % DAY_LENGTH);
+
+// Formats milliseconds as hours, minutes and seconds, e.g. '07:04:09'
+export const formatCountdown = (ms) => {
+  const totalSeconds = Math.max(Math.ceil(ms / 1000), 0);
+  return [
+    Math.floor(totalSeconds / 3600),
+    Math.floor(totalSeconds / 60) % 60,
+    totalSeconds % 60,
+  ]
+    .map((part) => String(part).padStart(2, '0'))
+    .join(':');
+};
+
+/**
+ * Returns the config for the course named by `key`: the Normal preset with a
+ * speed curve and starting biome drawn from the day's seed. The difficulty
+ * setting does not apply, so everyone plays the same course.
+ */
+export const createDailyConfig = (config, key) => {
+  // A stream of its own, so the course's obstacles do not depend on it
+  const random = createRandom(getDailySeed(key) ^ 0x27d4eb2f);
+  const pick = ({ MIN, MAX }) => Math.round(MIN + random() * (MAX - MIN));
+
+  const dailyConfig = applyDifficulty(config, {
+    difficulty: DIFFICULTIES.NORMAL,
+  });
+  const startingSpeed = pick(DAILY_SPEED_RANGES.STARTING_SPEED);
+  Object.assign(dailyConfig.GAME, {
+    STARTING_SPEED: startingSpeed,
+    MAX_SPEED: startingSpeed * DAILY_MAX_SPEED_FACTOR,
+    SPEED_INCREMENT_INTERVAL: pick(DAILY_SPEED_RANGES.SPEED_INCREMENT_INTERVAL),
+    SPEED_INCREMENT_AMOUNT: pick(DAILY_SPEED_RANGES.SPEED_INCREMENT_AMOUNT),
+  });
+  dailyConfig.THEME.FIRST_BIOME = Math.floor(random() * BIOMES.length);
+  dailyConfig.DAILY = key;
+  return dailyConfig;
+};
+
+const createRecord = (key) => ({
+  version: DAILY_VERSION,
+  key,
+  best: 0,
+  attempts: 0,
+});
+
+const isValidRecord = (record) =>
+  typeof record.key === 'string' &&
+  isScore(record.best) &&
+  Number.isInteger(record.attempts) &&
+  record.attempts >= 0;
+
+// Only the current day's record is kept; an older one is replaced
+export class DailyRecords {
+  constructor() {
+    this.record = createRecord(getDailyKey());
+  }
+
+  load() {
+    this.record = loadRecord(DAILY_STORAGE_KEY, this.record, isValidRecord);
+    return this;
+  }
+
+  save() {
+    saveRecord(DAILY_STORAGE_KEY, this.record);
+  }
+
+  get(key) {
+    return this.record.key === key ? this.record : createRecord(key);
+  }
+
+  recordAttempt(key) {
+    this.record = { ...this.get(key) };
+    this.record.attempts++;
+    this.save();
+    log(`Daily Run ${key}, attempt ${this.record.attempts}.`, LOG_LEVELS.INFO);
+  }
+
+  // Returns true if `score` is the day's new best
+  recordScore(key, score) {
+    const record = this.get(key);
+    if (score <= record.best) {
+      return false;
+    }
+    this.record = { ...record, best: score };
+    this.save();
+    return true;
+  }
+}
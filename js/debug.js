@@ -0,0 +1,260 @@
+// js/debug.js
+//
+// Developer overlay, toggled with a key or opened with ?debug. It draws the
+// hit masks or reduced boxes collisions are checked with, shows the game
+// loop's frame stats and the live simulation state, and has sliders for
+// tuning the config and controls for freezing, single-stepping and slowing
+// down the loop.
+
+import { getConfigValue } from './config.js';
+import { LOG_LEVELS } from './constants.js';
+import { log } from './logger.js';
+import { getShapeSpan } from './collision.js';
+import {
+  getCollectibleBox,
+  getObstacleBox,
+  getObstacleShape,
+  getOrionBox,
+  getOrionShape,
+  getPlayerBox,
+  getPlayerShape,
+} from './simulation.js';
+
+// PATH is where the value lives in the config
+const DEBUG_SLIDERS = [
+  { PATH: ['GAME', 'STARTING_SPEED'], MIN: 100, MAX: 1500, STEP: 10 },
+  { PATH: ['GAME', 'MAX_SPEED'], MIN: 100, MAX: 2000, STEP: 10 },
+  {
+    PATH: ['GAME', 'SPEED_INCREMENT_INTERVAL'],
+    MIN: 500,
+    MAX: 30000,
+    STEP: 500,
+  },
+  { PATH: ['GAME', 'SPEED_INCREMENT_AMOUNT'], MIN: 0, MAX: 200, STEP: 5 },
+  { PATH: ['GAME', 'HIT_GRACE_PERIOD'], MIN: 0, MAX: 5000, STEP: 100 },
+  { PATH: ['JUMP', 'MAX_HEIGHT'], MIN: 50, MAX: 800, STEP: 10 },
+  { PATH: ['JUMP', 'DURATION'], MIN: 300, MAX: 3000, STEP: 50 },
+  { PATH: ['JUMP', 'MIN_HEIGHT_FACTOR'], MIN: 0, MAX: 1, STEP: 0.05 },
+  { PATH: ['JUMP', 'DOUBLE_JUMP_HEIGHT_FACTOR'], MIN: 0, MAX: 1.5, STEP: 0.05 },
+  { PATH: ['PLAYER', 'HITBOX_REDUCTION'], MIN: 0, MAX: 0.9, STEP: 0.05 },
+  { PATH: ['ORION', 'HITBOX_REDUCTION'], MIN: 0, MAX: 0.9, STEP: 0.05 },
+  ...['LOW_HURDLE', 'TALL_HURDLE', 'FLYING'].map((type) => ({
+    PATH: ['OBSTACLE', 'TYPES', type, 'HITBOX_REDUCTION'],
+    MIN: 0,
+    MAX: 0.9,
+    STEP: 0.05,
+  })),
+];
+
+const STATS_INTERVAL = 250; // milliseconds between text updates
+
+const HITBOX_COLORS = {
+  PLAYER: '#e74c3c',
+  ORION: '#e67e22',
+  OBSTACLE: '#8e44ad',
+  COLLECTIBLE: '#27ae60',
+  FULL_BOX: 'rgba(0, 0, 0, 0.35)', // sprite bounds
+};
+
+const formatValue = (value) => {
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? value : value.toFixed(2);
+  }
+  if (Array.isArray(value)) {
+    return `[${value.length}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).join(', ')}}`;
+  }
+  return String(value);
+};
+
+export class DebugOverlay {
+  // `loop` is the game loop, which keeps frame stats and can be frozen,
+  // stepped and slowed down. `onConfigChange(path, value)` applies a slider.
+  constructor(elements, { loop, onConfigChange }) {
+    this.elements = elements;
+    this.loop = loop;
+    this.onConfigChange = onConfigChange;
+    this.context = null;
+    this.sliders = [];
+    this.lastStatsTime = 0;
+  }
+
+  init(config) {
+    const { debugCanvas, debugSliders, debugFreezeButton, debugStepButton } =
+      this.elements;
+    this.context = debugCanvas.getContext('2d');
+    this.sliders = DEBUG_SLIDERS.map((definition) => {
+      const slider = document.createElement('input');
+      Object.assign(slider, {
+        type: 'range',
+        min: definition.MIN,
+        max: definition.MAX,
+        step: definition.STEP,
+      });
+      const output = document.createElement('output');
+      const label = document.createElement('label');
+      label.append(definition.PATH.join('.'), slider, output);
+      debugSliders.appendChild(label);
+
+      slider.addEventListener('input', () => {
+        output.textContent = slider.value;
+      });
+      // Applied on release, so dragging does not swap the config every frame
+      slider.addEventListener('change', () =>
+        this.onConfigChange(definition.PATH, Number(slider.value))
+      );
+      return { definition, slider, output };
+    });
+
+    debugFreezeButton.addEventListener('click', () => {
+      this.loop.isFrozen = !this.loop.isFrozen;
+      this.updateLoopControls();
+    });
+    debugStepButton.addEventListener('click', () => this.loop.requestStep());
+    this.elements.debugTimeScale.addEventListener('change', (e) => {
+      this.loop.timeScale = Number(e.target.value);
+    });
+
+    this.resize(config);
+    this.updateLoopControls();
+    if (new URLSearchParams(window.location.search).has('debug')) {
+      this.setVisible(true);
+    }
+  }
+
+  get isVisible() {
+    return !this.elements.debugOverlay.classList.contains('hidden');
+  }
+
+  setVisible(isVisible) {
+    this.elements.debugOverlay.classList.toggle('hidden', !isVisible);
+    // A frozen loop would look like a hang once the controls are gone
+    if (!isVisible) {
+      this.loop.isFrozen = false;
+      this.loop.timeScale = 1;
+      this.elements.debugTimeScale.value = '1';
+      this.updateLoopControls();
+    }
+    log(`Debug overlay ${isVisible ? 'shown' : 'hidden'}.`, LOG_LEVELS.INFO);
+  }
+
+  toggle() {
+    this.setVisible(!this.isVisible);
+  }
+
+  resize(config) {
+    const { CONTAINER_WIDTH, CONTAINER_HEIGHT } = config.GAME;
+    this.elements.debugCanvas.width = CONTAINER_WIDTH;
+    this.elements.debugCanvas.height = CONTAINER_HEIGHT;
+  }
+
+  updateLoopControls() {
+    this.elements.debugFreezeButton.textContent = this.loop.isFrozen
+      ? 'Unfreeze'
+      : 'Freeze';
+    this.elements.debugStepButton.disabled = !this.loop.isFrozen;
+  }
+
+  // Shows the values of the config the run is being played with
+  updateSliders(config) {
+    this.sliders.forEach(({ definition, slider, output }) => {
+      if (document.activeElement !== slider) {
+        slider.value = getConfigValue(config, definition.PATH);
+        output.textContent = slider.value;
+      }
+    });
+  }
+
+  render(sim) {
+    if (!this.isVisible) {
+      return;
+    }
+    this.drawHitboxes(sim);
+    const now = performance.now();
+    if (now - this.lastStatsTime >= STATS_INTERVAL) {
+      this.lastStatsTime = now;
+      this.updateStats(sim);
+      this.updateSliders(sim.config);
+    }
+  }
+
+  drawHitboxes(sim) {
+    const { context } = this;
+    const { width, height } = context.canvas;
+    const { config } = sim;
+    context.clearRect(0, 0, width, height);
+
+    // Boxes are measured from the bottom of the container
+    const drawBox = (box, color, isDashed = false) => {
+      context.strokeStyle = color;
+      context.setLineDash(isDashed ? [4, 4] : []);
+      context.strokeRect(
+        box.left,
+        height - box.bottom - box.height,
+        box.width,
+        box.height
+      );
+    };
+    // Masks are filled row by row; shapes without one are reduced boxes
+    const drawShape = (fullBox, shape, color) => {
+      drawBox(fullBox, HITBOX_COLORS.FULL_BOX, true);
+      if (!shape.mask) {
+        drawBox(shape.box, color);
+        return;
+      }
+      const { box, mask } = shape;
+      const rowHeight = box.height / mask.length;
+      context.save();
+      context.fillStyle = color;
+      context.globalAlpha *= 0.5; // the sprite stays visible underneath
+      mask.forEach((row, index) => {
+        const y = box.bottom + box.height - (index + 0.5) * rowHeight;
+        const span = getShapeSpan(shape, y);
+        if (span) {
+          context.fillRect(
+            span[0],
+            height - y - rowHeight / 2,
+            span[1] - span[0],
+            rowHeight
+          );
+        }
+      });
+      context.restore();
+    };
+
+    context.lineWidth = 2;
+    // Faded while collisions are disabled after the start or a hit
+    context.globalAlpha = sim.time < sim.collisionDisabledUntil ? 0.4 : 1;
+    drawShape(getPlayerBox(sim), getPlayerShape(sim), HITBOX_COLORS.PLAYER);
+    drawShape(getOrionBox(sim), getOrionShape(sim), HITBOX_COLORS.ORION);
+    sim.obstacles.forEach((obstacle) =>
+      drawShape(
+        getObstacleBox(config, obstacle),
+        getObstacleShape(config, obstacle),
+        HITBOX_COLORS.OBSTACLE
+      )
+    );
+    // Collectibles are picked up with their full box
+    sim.collectibles.forEach((collectible) =>
+      drawBox(getCollectibleBox(config, collectible), HITBOX_COLORS.COLLECTIBLE)
+    );
+    context.globalAlpha = 1;
+  }
+
+  updateStats(sim) {
+    const { fps, stepsPerFrame, droppedFrames } = this.loop.stats;
+    const lines = [
+      `FPS ${fps}, ${stepsPerFrame} steps/frame, ${droppedFrames} dropped`,
+      `speed ×${this.loop.timeScale}${this.loop.isFrozen ? ', frozen' : ''}`,
+      '',
+      ...Object.entries(sim)
+        .filter(
+          ([key, value]) => key !== 'config' && typeof value !== 'function'
+        )
+        .map(([key, value]) => `${key}: ${formatValue(value)}`),
+    ];
+    this.elements.debugStats.textContent = lines.join('\n');
+  }
+}
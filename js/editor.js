@@ -0,0 +1,476 @@
+// js/editor.js
+//
+// The course editor (editor.html). A course is laid out on a timeline with a
+// lane each for speed changes, obstacles and collectibles. Items are added at
+// the cursor from the palette, dragged into place and edited in the
+// inspector. Every change is saved as the draft that "Play from Cursor" test
+// plays in the game (see js/course.js).
+
+import { createConfig, readCSSVars } from './config.js';
+import { LOG_LEVELS } from './constants.js';
+import {
+  checkCourse,
+  createEmptyCourse,
+  getPlaytestURL,
+  loadCourseDraft,
+  parseCourse,
+  saveCourseDraft,
+} from './course.js';
+import { downloadJSON, readFileAsText } from './files.js';
+import { getViewport } from './layout.js';
+import { log, logError } from './logger.js';
+import { loadSpriteManifest } from './sprites.js';
+import { BIOMES } from './themes.js';
+
+const SNAP = 10; // pixels run that placements snap to
+const RULER_INTERVAL = 1000; // pixels run between ruler labels
+const TRACK_PADDING = 2000; // pixels run shown past the finish
+const DEFAULT_SPEED = 400;
+const PLAYTEST_WINDOW = 'orions-chase-playtest';
+
+const LISTS = {
+  SPEEDS: 'speeds',
+  OBSTACLES: 'obstacles',
+  COLLECTIBLES: 'collectibles',
+};
+
+const ELEMENT_IDS = {
+  'course-name': 'nameInput',
+  'course-theme': 'themeSelect',
+  'course-finish': 'finishInput',
+  'course-lives': 'livesInput',
+  'editor-zoom': 'zoomSelect',
+  'new-course-button': 'newButton',
+  'import-course-input': 'importInput',
+  'export-course-button': 'exportButton',
+  'playtest-button': 'playtestButton',
+  'editor-palette': 'palette',
+  'editor-timeline': 'timeline',
+  'editor-track': 'track',
+  'editor-ruler': 'ruler',
+  'editor-speeds': 'speedsLane',
+  'editor-obstacles': 'obstaclesLane',
+  'editor-collectibles': 'collectiblesLane',
+  'editor-cursor': 'cursor',
+  'editor-finish': 'finish',
+  'editor-inspector': 'inspector',
+  'item-at': 'atInput',
+  'item-type': 'typeSelect',
+  'item-type-label': 'typeLabel',
+  'item-speed': 'speedInput',
+  'item-speed-label': 'speedLabel',
+  'delete-item-button': 'deleteButton',
+  'editor-status': 'status',
+};
+
+const snap = (distance) => Math.max(Math.round(distance / SNAP) * SNAP, 0);
+
+// e.g. 'Beach Sprint' -> 'beach-sprint.json'
+const toFileName = (name) =>
+  `${
+    name
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-|-$/g, '') || 'course'
+  }.json`;
+
+const createElement = (tag, className, text = '') => {
+  const element = document.createElement(tag);
+  element.className = className;
+  element.textContent = text;
+  return element;
+};
+
+class CourseEditor {
+  constructor(elements, config) {
+    this.elements = elements;
+    this.config = config;
+    this.course = createEmptyCourse();
+    this.selected = null; // { list, item }
+    this.cursor = 0; // pixels run
+    this.scale = 0.1; // timeline pixels per pixel run
+  }
+
+  init() {
+    this.buildThemeOptions();
+    this.buildPalette();
+    this.bindEvents();
+    this.scale = Number(this.elements.zoomSelect.value);
+    this.setCourse(loadCourseDraft(this.config) ?? createEmptyCourse());
+  }
+
+  // ----------------------------------------
+  // Setup
+  // ----------------------------------------
+
+  getTypes(list) {
+    return list === LISTS.OBSTACLES
+      ? this.config.OBSTACLE.TYPES
+      : this.config.COLLECTIBLE.TYPES;
+  }
+
+  buildThemeOptions() {
+    BIOMES.forEach((biome) =>
+      this.elements.themeSelect.add(new Option(biome.LABEL, biome.NAME))
+    );
+  }
+
+  buildPalette() {
+    const { palette } = this.elements;
+    [LISTS.OBSTACLES, LISTS.COLLECTIBLES].forEach((list) =>
+      Object.values(this.getTypes(list)).forEach((type) => {
+        const button = createElement('button', 'palette-button', type.NAME);
+        button.type = 'button';
+        button.prepend(this.createSprite(type));
+        button.addEventListener('click', () =>
+          this.addItem(list, { at: snap(this.cursor), type: type.NAME })
+        );
+        palette.append(button);
+      })
+    );
+    const speedButton = createElement('button', 'palette-button', 'speed');
+    speedButton.type = 'button';
+    speedButton.addEventListener('click', () =>
+      this.addItem(LISTS.SPEEDS, {
+        at: Math.max(snap(this.cursor), SNAP),
+        speed: this.getSpeedAt(this.cursor) ?? DEFAULT_SPEED,
+      })
+    );
+    palette.append(speedButton);
+  }
+
+  createSprite(type) {
+    const image = createElement('img', 'editor-sprite');
+    image.src = type.SPRITE;
+    image.alt = '';
+    return image;
+  }
+
+  bindEvents() {
+    const { elements } = this;
+    const bindField = (element, event, apply) =>
+      element.addEventListener(event, () => {
+        apply(element.value);
+        this.change();
+      });
+
+    bindField(elements.nameInput, 'input', (value) => {
+      this.course.name = value;
+    });
+    bindField(elements.themeSelect, 'change', (value) => {
+      this.course.theme = value;
+    });
+    bindField(elements.finishInput, 'change', (value) => {
+      this.course.finish = Number(value);
+    });
+    bindField(elements.livesInput, 'change', (value) => {
+      this.course.lives = Number(value);
+    });
+    bindField(elements.atInput, 'change', (value) => {
+      this.selected.item.at = snap(Number(value));
+    });
+    bindField(elements.typeSelect, 'change', (value) => {
+      this.selected.item.type = value;
+    });
+    bindField(elements.speedInput, 'change', (value) => {
+      this.selected.item.speed = Number(value);
+    });
+
+    elements.zoomSelect.addEventListener('change', () => {
+      this.scale = Number(elements.zoomSelect.value);
+      this.render();
+    });
+    elements.newButton.addEventListener('click', () => {
+      if (window.confirm('Start a new course? Export this one to keep it.')) {
+        this.setCourse(createEmptyCourse());
+      }
+    });
+    elements.importInput.addEventListener('change', (e) => this.import(e));
+    elements.exportButton.addEventListener('click', () => this.export());
+    elements.playtestButton.addEventListener('click', () => this.playtest());
+    elements.deleteButton.addEventListener('click', () => this.deleteItem());
+    elements.track.addEventListener('pointerdown', (e) => {
+      if (e.target === elements.ruler || e.target.dataset.lane) {
+        const { left } = elements.track.getBoundingClientRect();
+        this.cursor = snap((e.clientX - left) / this.scale);
+        this.renderCursor();
+      }
+    });
+    elements.finish.addEventListener('pointerdown', (e) =>
+      this.startDrag(e, this.course.finish, (at) => {
+        this.course.finish = Math.max(at, SNAP);
+        elements.finish.style.left = `${this.course.finish * this.scale}px`;
+        elements.finishInput.value = this.course.finish;
+      })
+    );
+    document.addEventListener('keydown', (e) => {
+      if (
+        (e.key === 'Delete' || e.key === 'Backspace') &&
+        !e.target.closest('input, select')
+      ) {
+        this.deleteItem();
+      }
+    });
+  }
+
+  // ----------------------------------------
+  // Editing
+  // ----------------------------------------
+
+  setCourse(course) {
+    const { elements } = this;
+    this.course = course;
+    this.selected = null;
+    this.cursor = 0;
+    elements.nameInput.value = course.name;
+    elements.themeSelect.value = course.theme;
+    elements.finishInput.value = course.finish;
+    elements.livesInput.value = course.lives;
+    elements.timeline.scrollLeft = 0;
+    this.change();
+  }
+
+  // Saves the draft and redraws after every edit
+  change() {
+    [LISTS.SPEEDS, LISTS.OBSTACLES, LISTS.COLLECTIBLES].forEach((list) =>
+      this.course[list].sort((a, b) => a.at - b.at)
+    );
+    saveCourseDraft(this.course);
+    this.validate();
+    this.render();
+  }
+
+  validate() {
+    const { obstacles, collectibles } = this.course;
+    try {
+      checkCourse(this.course, this.config);
+      this.setStatus(
+        `${obstacles.length} obstacles and ${collectibles.length} collectibles. Draft saved.`
+      );
+      this.elements.playtestButton.disabled = false;
+    } catch (error) {
+      this.setStatus(error.message);
+      this.elements.playtestButton.disabled = true;
+    }
+  }
+
+  setStatus(message) {
+    this.elements.status.textContent = message;
+  }
+
+  getSpeedAt(distance) {
+    return this.course.speeds.reduce(
+      (speed, segment) => (segment.at <= distance ? segment.speed : speed),
+      null
+    );
+  }
+
+  // The first speed always starts at 0, so it cannot be moved or deleted
+  isFixed({ list, item }) {
+    return list === LISTS.SPEEDS && item === this.course.speeds[0];
+  }
+
+  addItem(list, item) {
+    this.course[list].push(item);
+    this.selected = { list, item };
+    this.change();
+  }
+
+  deleteItem() {
+    if (!this.selected || this.isFixed(this.selected)) {
+      return;
+    }
+    const { list, item } = this.selected;
+    this.course[list] = this.course[list].filter((other) => other !== item);
+    this.selected = null;
+    this.change();
+  }
+
+  select(selection, element) {
+    this.selected = selection;
+    this.elements.track
+      .querySelectorAll('.editor-item.selected')
+      .forEach((other) => other.classList.remove('selected'));
+    element.classList.add('selected');
+    this.renderInspector();
+  }
+
+  // Follows the pointer until it is released. `onMove(at)` gets the snapped
+  // distance the element has been dragged to.
+  startDrag(e, from, onMove) {
+    const element = e.currentTarget;
+    const startX = e.clientX;
+    const move = (moveEvent) =>
+      onMove(snap(from + (moveEvent.clientX - startX) / this.scale));
+    const end = () => {
+      element.removeEventListener('pointermove', move);
+      element.removeEventListener('pointerup', end);
+      element.removeEventListener('pointercancel', end);
+      this.change();
+    };
+    e.preventDefault();
+    element.setPointerCapture(e.pointerId);
+    element.addEventListener('pointermove', move);
+    element.addEventListener('pointerup', end);
+    element.addEventListener('pointercancel', end);
+  }
+
+  async import(e) {
+    const [file] = e.target.files;
+    e.target.value = '';
+    if (!file) {
+      return;
+    }
+
+    try {
+      this.setCourse(parseCourse(await readFileAsText(file), this.config));
+      log(`Course imported from ${file.name}.`, LOG_LEVELS.INFO);
+    } catch (error) {
+      logError(error);
+      this.setStatus(`Could not import course: ${error.message}`);
+    }
+  }
+
+  export() {
+    try {
+      const course = checkCourse(this.course, this.config);
+      downloadJSON(course, toFileName(course.name));
+    } catch (error) {
+      this.setStatus(`Could not export course: ${error.message}`);
+    }
+  }
+
+  playtest() {
+    saveCourseDraft(this.course);
+    window.open(getPlaytestURL(this.cursor), PLAYTEST_WINDOW);
+  }
+
+  // ----------------------------------------
+  // Rendering
+  // ----------------------------------------
+
+  render() {
+    const { course, elements, scale } = this;
+    const end =
+      Math.max(
+        course.finish || 0,
+        ...[LISTS.SPEEDS, LISTS.OBSTACLES, LISTS.COLLECTIBLES].flatMap((list) =>
+          course[list].map((item) => item.at)
+        )
+      ) + TRACK_PADDING;
+
+    elements.track.style.width = `${end * scale}px`;
+    elements.finish.style.left = `${(course.finish || 0) * scale}px`;
+    this.renderRuler(end);
+    this.renderLane(elements.speedsLane, LISTS.SPEEDS);
+    this.renderLane(elements.obstaclesLane, LISTS.OBSTACLES);
+    this.renderLane(elements.collectiblesLane, LISTS.COLLECTIBLES);
+    this.renderCursor();
+    this.renderInspector();
+  }
+
+  renderRuler(end) {
+    const ticks = [];
+    for (let at = 0; at <= end; at += RULER_INTERVAL) {
+      const tick = createElement('span', 'editor-tick', String(at));
+      tick.style.left = `${at * this.scale}px`;
+      ticks.push(tick);
+    }
+    this.elements.ruler.replaceChildren(...ticks);
+  }
+
+  renderLane(lane, list) {
+    lane.replaceChildren(
+      ...this.course[list].map((item) => {
+        const selection = { list, item };
+        const element = createElement('div', 'editor-item');
+        element.style.left = `${item.at * this.scale}px`;
+        if (list === LISTS.SPEEDS) {
+          element.textContent = item.speed;
+          element.title = `Speed ${item.speed} from ${item.at}`;
+        } else {
+          const type = Object.values(this.getTypes(list)).find(
+            ({ NAME }) => NAME === item.type
+          );
+          if (type) {
+            element.append(this.createSprite(type));
+          }
+          element.title = `${item.type} at ${item.at}`;
+        }
+        element.classList.toggle('selected', this.selected?.item === item);
+        element.addEventListener('pointerdown', (e) => {
+          this.select(selection, element);
+          if (this.isFixed(selection)) {
+            return;
+          }
+          const min = list === LISTS.SPEEDS ? SNAP : 0;
+          this.startDrag(e, item.at, (at) => {
+            item.at = Math.max(at, min);
+            element.style.left = `${item.at * this.scale}px`;
+            this.elements.atInput.value = item.at;
+          });
+        });
+        return element;
+      })
+    );
+  }
+
+  renderCursor() {
+    this.elements.cursor.style.left = `${this.cursor * this.scale}px`;
+    this.elements.playtestButton.title = `Test play from ${this.cursor}`;
+  }
+
+  renderInspector() {
+    const { elements, selected } = this;
+    elements.inspector.classList.toggle('hidden', !selected);
+    if (!selected) {
+      return;
+    }
+
+    const { list, item } = selected;
+    const isSpeed = list === LISTS.SPEEDS;
+    const isFixed = this.isFixed(selected);
+    elements.atInput.value = item.at;
+    elements.atInput.disabled = isFixed;
+    elements.deleteButton.disabled = isFixed;
+    elements.typeLabel.classList.toggle('hidden', isSpeed);
+    elements.speedLabel.classList.toggle('hidden', !isSpeed);
+    if (isSpeed) {
+      elements.speedInput.value = item.speed;
+      return;
+    }
+    elements.typeSelect.replaceChildren(
+      ...Object.values(this.getTypes(list)).map(
+        (type) => new Option(type.NAME, type.NAME)
+      )
+    );
+    elements.typeSelect.value = item.type;
+  }
+}
+
+// ----------------------------------------
+// Initialization
+// ----------------------------------------
+
+const initializeEditor = async () => {
+  try {
+    const manifest = await loadSpriteManifest();
+    const config = createConfig(
+      readCSSVars(),
+      getViewport(false),
+      manifest.animations
+    );
+    const elements = Object.fromEntries(
+      Object.entries(ELEMENT_IDS).map(([id, key]) => [
+        key,
+        document.getElementById(id),
+      ])
+    );
+    new CourseEditor(elements, config).init();
+    log('Course editor initialized.', LOG_LEVELS.INFO);
+  } catch (error) {
+    logError(error);
+  }
+};
+
+document.addEventListener('DOMContentLoaded', initializeEditor);
@@ -1,28 +1,90 @@
 // js/game.js
 
-// ----------------------------------------
-// Constants and Enumerations
-// ----------------------------------------
-
-const GAME_STATES = {
-  INITIAL: 'initial',
-  PLAYING: 'playing',
-  PAUSED: 'paused',
-  CRASHED: 'crashed',
-};
-
-const ACTIONS = {
-  START: 'START',
-  PAUSE: 'PAUSE',
-  RESUME: 'RESUME',
-  JUMP: 'JUMP',
-};
-
-const LOG_LEVELS = {
-  INFO: 'info',
-  WARN: 'warn',
-  ERROR: 'error',
-};
+import { GAME_STATES, GAME_MODES, ACTIONS, LOG_LEVELS } from './constants.js';
+import { log, logError } from './logger.js';
+import {
+  createConfig,
+  readCSSVars,
+  resizeConfig,
+  withConfigValue,
+} from './config.js';
+import { LayoutService, getViewport } from './layout.js';
+import {
+  CHARACTERS,
+  SIM_EVENTS,
+  createSimulationState,
+  getPowerUpTimeLeft,
+  isRunOver,
+  resizeSimulation,
+  step,
+} from './simulation.js';
+import { DOMRenderer } from './renderer-dom.js';
+import { CanvasRenderer } from './renderer-canvas.js';
+import {
+  ReplayPlayer,
+  ReplayRecorder,
+  SIMULATED_ACTIONS,
+  parseRecording,
+  verifyRecording,
+} from './replay.js';
+import { downloadJSON, readFileAsText } from './files.js';
+import { AudioManager, SOUNDS } from './audio.js';
+import {
+  getBiomeAt,
+  getFirstBiome,
+  getThemeColors,
+  getThemeState,
+} from './themes.js';
+import { ASSET_LIST } from './assets.js';
+import { OfflineService } from './offline.js';
+import { DebugOverlay } from './debug.js';
+import { createHitMasks } from './collision.js';
+import {
+  applySpriteVariables,
+  getSpriteImages,
+  loadSpriteManifest,
+} from './sprites.js';
+import { COMMANDS, InputManager } from './input.js';
+import { AchievementTracker } from './achievements.js';
+import {
+  DailyRecords,
+  createDailyConfig,
+  formatCountdown,
+  getDailyKey,
+  getDailySeed,
+  getTimeUntilNextDaily,
+} from './daily.js';
+import {
+  PLAYTEST_PARAM,
+  createCourseConfig,
+  createCourseRecords,
+  loadCourseDraft,
+  loadCourses,
+  parseCourse,
+} from './course.js';
+import { Leaderboard, createEntry, formatInitials } from './leaderboard.js';
+import { createTwoPlayerConfig, createTwoPlayerRecords } from './two-player.js';
+import {
+  MemorySink,
+  TELEMETRY_EVENTS,
+  TELEMETRY_PARAM,
+  TelemetryBus,
+  createSinkFromParam,
+  createTelemetryId,
+} from './telemetry.js';
+import {
+  DIFFICULTIES,
+  applyDifficulty,
+  loadSettings,
+  sanitizeCustomPreset,
+  saveSettings,
+} from './settings.js';
+import {
+  GhostRecorder,
+  getGhostFrame,
+  loadGhostTrack,
+  saveGhostTrack,
+} from './ghost.js';
 
 // ----------------------------------------
 // Utility Functions
@@ -30,16 +92,6 @@ const LOG_LEVELS = {
 
 const assets = { images: {}, audio: {} };
 
-const log = (message, level = LOG_LEVELS.INFO) => {
-  const timestamp = new Date().toISOString();
-  const logMethod = console[level] || console.log;
-  logMethod(`[${timestamp}] ${level.toUpperCase()}: ${message}`);
-};
-
-const logError = (error) => {
-  log(`Error: ${error.message}`, LOG_LEVELS.ERROR);
-};
-
 const preloadAssets = async (assetList) => {
   try {
     const imagePromises = assetList.images.map(
@@ -79,148 +131,67 @@ const preloadAssets = async (assetList) => {
 
 const getAsset = (type, src) => assets[type][src];
 
-const saveHighScore = (score) => {
-  try {
-    localStorage.setItem('highScore', score.toString());
-    log(`High score saved: ${score}`, LOG_LEVELS.INFO);
-  } catch (error) {
-    logError(error);
-  }
-};
+// ----------------------------------------
+// Configuration
+// ----------------------------------------
 
-const loadHighScore = () => {
-  try {
-    const storedScore = parseInt(localStorage.getItem('highScore'), 10);
-    const highScore = isNaN(storedScore) ? 0 : storedScore;
-    log(`High score loaded: ${highScore}`, LOG_LEVELS.INFO);
-    return highScore;
-  } catch (error) {
-    logError(error);
-    return 0;
-  }
-};
-
-const calculateJumpPosition = (
-  jumpStartTime,
-  currentTime,
-  duration,
-  maxHeight
-) => {
-  const elapsedTime = currentTime - jumpStartTime;
-  const jumpProgress = Math.min(elapsedTime / duration, 1);
-  const jumpHeight = Math.sin(jumpProgress * Math.PI) * maxHeight;
-
-  // Ensure the player doesn't move beyond the container's top
-  const maxPlayerY =
-    CONFIG.GAME.CONTAINER_HEIGHT -
-    CONFIG.PLAYER.HEIGHT -
-    CONFIG.GAME.GROUND_LEVEL;
-  const adjustedJumpY = Math.min(jumpHeight, maxPlayerY);
-
-  return {
-    jumpY: adjustedJumpY,
-    isJumpFinished: jumpProgress === 1,
-  };
-};
+const settings = loadSettings();
 
-const getCSSVariable = (variableName) =>
-  getComputedStyle(document.documentElement)
-    .getPropertyValue(variableName)
-    .trim();
+const cssVars = readCSSVars();
 
-const cssTimeToMs = (cssTime) => {
-  if (cssTime.endsWith('ms')) {
-    return parseFloat(cssTime);
-  } else if (cssTime.endsWith('s')) {
-    return parseFloat(cssTime) * 1000;
-  }
-  return parseFloat(cssTime);
+// Loaded by initializeGame, before any config is built
+let spriteManifest = null;
+
+// Extracted from the sprite sheets once they have loaded. If the images
+// cannot be read, collisions use reduced boxes.
+let hitMasks = null;
+
+const createBaseConfig = (viewport) => ({
+  ...createConfig(cssVars, viewport, spriteManifest.animations),
+  HIT_MASKS: hitMasks,
+});
+
+// Built by initializeGame and rebuilt by handleLayoutChange when the window
+// changes size
+let BASE_CONFIG = null;
+
+// Course mode's courses: the built-in ones, loaded by initializeGame, and any
+// loaded from a file or opened from the editor for a test play
+let courses = [];
+
+// Set when the editor opened the game to test its draft: { name, start }
+let playtest = null;
+
+// Falls back to the first course when the saved one was loaded from a file
+const getSelectedCourse = () =>
+  courses.find((course) => course.name === settings.course) ||
+  courses[0] ||
+  null;
+
+// A course loaded later replaces one with the same name
+const addCourse = (course) => {
+  courses = [...courses.filter(({ name }) => name !== course.name), course];
 };
 
-const parseCSSValue = (value) => {
-  value = value.trim();
-  if (value.endsWith('px')) {
-    return parseFloat(value);
-  } else if (value.endsWith('vw')) {
-    return (parseFloat(value) / 100) * window.innerWidth;
-  } else if (value.endsWith('vh')) {
-    return (parseFloat(value) / 100) * window.innerHeight;
-  } else if (value.endsWith('%')) {
-    return parseFloat(value);
-  } else {
-    log(`Unsupported CSS unit in value: ${value}`, LOG_LEVELS.WARN);
-    return parseFloat(value);
+// What new runs are played with: the base config with the selected mode and
+// difficulty applied. The Daily Run and courses set their own.
+const createRunConfig = () => {
+  if (settings.mode === GAME_MODES.DAILY) {
+    return createDailyConfig(BASE_CONFIG, getDailyKey());
+  }
+  if (settings.mode === GAME_MODES.TWO_PLAYER) {
+    return createTwoPlayerConfig(BASE_CONFIG, settings);
+  }
+  const course = settings.mode === GAME_MODES.COURSE && getSelectedCourse();
+  if (course) {
+    const start =
+      playtest && playtest.name === course.name ? playtest.start : 0;
+    return createCourseConfig(BASE_CONFIG, course, start);
   }
+  return applyDifficulty(BASE_CONFIG, settings);
 };
 
-// ----------------------------------------
-// Configuration
-// ----------------------------------------
-
-const CSS_VARS = {
-  playerWidth: getCSSVariable('--player-width'),
-  playerHeight: getCSSVariable('--player-height'),
-  playerLeft: getCSSVariable('--player-left'),
-  playerJumpWidth: getCSSVariable('--player-jump-width'),
-  playerJumpHeight: getCSSVariable('--player-jump-height'),
-  orionWidth: getCSSVariable('--orion-width'),
-  orionHeight: getCSSVariable('--orion-height'),
-  orionLeft: getCSSVariable('--orion-left'),
-  obstacleWidth: getCSSVariable('--obstacle-width'),
-  obstacleHeight: getCSSVariable('--obstacle-height'),
-  obstacleInitialLeft: getCSSVariable('--obstacle-initial-left'),
-  groundLevel: getCSSVariable('--ground-level'),
-  jumpHeight: getCSSVariable('--jump-height'),
-  jumpDuration: getCSSVariable('--jump-duration'),
-  fps: getCSSVariable('--fps'),
-};
-
-const CONFIG = {
-  PLAYER: {
-    WIDTH: parseCSSValue(CSS_VARS.playerWidth),
-    HEIGHT: parseCSSValue(CSS_VARS.playerHeight),
-    INITIAL_LEFT: parseCSSValue(CSS_VARS.playerLeft),
-    JUMP_WIDTH: parseCSSValue(CSS_VARS.playerJumpWidth),
-    JUMP_HEIGHT: parseCSSValue(CSS_VARS.playerJumpHeight),
-  },
-  ORION: {
-    WIDTH: parseCSSValue(CSS_VARS.orionWidth),
-    HEIGHT: parseCSSValue(CSS_VARS.orionHeight),
-    INITIAL_LEFT: parseCSSValue(CSS_VARS.orionLeft),
-  },
-  OBSTACLE: {
-    WIDTH: parseCSSValue(CSS_VARS.obstacleWidth),
-    HEIGHT: parseCSSValue(CSS_VARS.obstacleHeight),
-    INITIAL_LEFT: window.innerWidth,
-  },
-  GAME: {
-    STARTING_SPEED: 400, // pixels per second
-    MAX_SPEED: 800, // pixels per second
-    ACCELERATION: 10, // pixels per second squared
-    GROUND_LEVEL: parseCSSValue(CSS_VARS.groundLevel),
-    CONTAINER_WIDTH: window.innerWidth,
-    CONTAINER_HEIGHT: window.innerHeight,
-    SPEED_INCREMENT_INTERVAL: 5000, // milliseconds
-    SPEED_INCREMENT_AMOUNT: 20, // pixels per second
-  },
-  JUMP: {
-    MAX_HEIGHT: parseCSSValue(CSS_VARS.jumpHeight),
-    DURATION: cssTimeToMs(CSS_VARS.jumpDuration),
-  },
-  SCORING: {
-    POINTS_PER_SECOND: 1,
-    OBSTACLE_BONUS: 100,
-  },
-  BACKGROUND: {
-    INITIAL_DURATION_SKY: 16, // default sky animation duration
-    INITIAL_DURATION_GROUND: 8, // default ground animation duration
-  },
-  FPS: parseFloat(CSS_VARS.fps) || 60,
-  GAME_LOOP: {
-    MAX_FRAME_SKIP: 5,
-    EMPIRICAL_ADJUSTMENT_FACTOR: 0.3,
-  },
-};
+let CONFIG = null;
 
 // ----------------------------------------
 // State Management
@@ -228,33 +199,108 @@ const CONFIG = {
 
 const elements = {};
 
+const leaderboard = new Leaderboard().load();
+
+const dailyRecords = new DailyRecords().load();
+
+const courseRecords = createCourseRecords().load();
+
+const twoPlayerRecords = createTwoPlayerRecords().load();
+
+const achievements = new AchievementTracker((achievement) =>
+  UI.showAchievementToast(achievement)
+).load();
+
+// Reset by initializeGame once the config has been built
 class State {
   constructor() {
-    this.reset();
+    this.lastRecording = null;
   }
 
-  reset() {
-    this.highScore = loadHighScore();
+  // Passing a recording sets the run up to play it back
+  reset(recording = null) {
     this.gameState = GAME_STATES.INITIAL;
-    this.playerY = 0;
-    this.orionY = 0;
-    this.obstacleX = CONFIG.GAME.CONTAINER_WIDTH + CONFIG.OBSTACLE.WIDTH + 100;
-    this.collisionDisabledUntil = performance.now() + 500; // grace period
-    this.isJumping = false;
-    this.jumpStartTime = 0;
-    this.currentSpeed = CONFIG.GAME.STARTING_SPEED;
-    this.lastFrameTime = 0;
-    this.distanceRan = 0;
-    this.score = 0;
-    this.gameStartTime = 0;
-    this.orionIsJumping = false;
-    this.orionJumpStartTime = 0;
-    this.lastSpeedIncrementTime = 0;
+    this.replay = recording ? new ReplayPlayer(recording) : null;
+    // Daily Runs play the day's course; replays play what was recorded
+    this.sim = recording
+      ? createSimulationState(recording.config, { seed: recording.seed })
+      : createSimulationState(
+          CONFIG,
+          CONFIG.DAILY ? { seed: getDailySeed(CONFIG.DAILY) } : {}
+        );
+    const { DAILY, COURSE, ORION } = this.sim.config;
+    if (DAILY) {
+      this.mode = GAME_MODES.DAILY;
+    } else if (COURSE) {
+      this.mode = GAME_MODES.COURSE;
+    } else if (ORION.PLAYER_CONTROLLED) {
+      this.mode = GAME_MODES.TWO_PLAYER;
+    } else {
+      this.mode = GAME_MODES.ENDLESS;
+    }
+    // Test plays from partway along a course count toward nothing
+    this.isPractice = Boolean(COURSE && COURSE.START > 0);
+    // Only Endless runs have the leaderboard's high score and a ghost
+    switch (this.mode) {
+      case GAME_MODES.DAILY:
+        this.highScore = dailyRecords.get(DAILY).best;
+        break;
+      case GAME_MODES.COURSE:
+        this.highScore = courseRecords.getBest(COURSE.NAME);
+        break;
+      case GAME_MODES.TWO_PLAYER:
+        this.highScore = twoPlayerRecords.getBest(CONFIG.DIFFICULTY);
+        break;
+      default:
+        this.highScore = leaderboard.getHighScore(CONFIG.DIFFICULTY);
+    }
+    this.ghostTrack =
+      this.mode === GAME_MODES.ENDLESS
+        ? loadGhostTrack(CONFIG.DIFFICULTY)
+        : null;
   }
 }
 
 const state = new State();
 
+const recorder = new ReplayRecorder();
+
+// The latest events stay in memory for inspecting from the console;
+// ?telemetry= adds a sink that logs or sends them
+const telemetryBuffer = new MemorySink();
+const telemetry = new TelemetryBus().addSink(telemetryBuffer);
+
+const ghostRecorder = new GhostRecorder();
+
+const audio = new AudioManager(settings.audio);
+
+// Keys, gamepad buttons and touches all go through the command handlers
+const input = new InputManager(settings.controls, {
+  onPress: (command) => handleCommand(command),
+  onRelease: (command) => handleCommandRelease(command),
+});
+
+const RENDERERS = {
+  dom: DOMRenderer,
+  canvas: CanvasRenderer,
+};
+
+// ?renderer=canvas wins over the stored setting so both can be compared
+const getRendererName = () => {
+  const requested = new URLSearchParams(window.location.search).get('renderer');
+  if (Object.hasOwn(RENDERERS, requested)) {
+    return requested;
+  }
+  return Object.hasOwn(RENDERERS, settings.renderer)
+    ? settings.renderer
+    : 'dom';
+};
+
+// Created in initializeGame, once the DOM elements are available
+let rendererName = null;
+
+let renderer = null;
+
 // ----------------------------------------
 // DOM Initialization
 // ----------------------------------------
@@ -262,17 +308,79 @@ const state = new State();
 const initDOMElements = () => {
   const elementIdToKey = {
     player: 'player',
+    ghost: 'ghost',
     orion: 'orion',
     obstacle: 'obstacle',
+    collectible: 'collectible',
     score: 'score',
+    'power-ups': 'powerUps',
     'high-score': 'highScore',
     'final-score': 'finalScore',
+    'game-over-title': 'gameOverTitle',
+    'course-progress': 'courseProgress',
+    'finish-line': 'finishLine',
+    'crash-reason': 'crashReason',
+    lives: 'lives',
     'instruction-dialog': 'instructionDialog',
     'game-container': 'gameContainer',
+    'game-canvas': 'canvas',
     'sky-background': 'skyBackground',
     ground: 'ground',
     'game-over-message': 'gameOverMessage',
     'instruction-message': 'instructionMessage',
+    'ghost-indicator': 'ghostIndicator',
+    'replay-badge': 'replayBadge',
+    'replay-message': 'replayMessage',
+    'watch-replay-button': 'watchReplayButton',
+    'download-replay-button': 'downloadReplayButton',
+    'load-replay-input': 'loadReplayInput',
+    'master-volume': 'masterVolume',
+    'music-volume': 'musicVolume',
+    'sfx-volume': 'sfxVolume',
+    'mute-toggle': 'muteToggle',
+    'leaderboard-title': 'leaderboardTitle',
+    'leaderboard-table': 'leaderboardTable',
+    'leaderboard-body': 'leaderboardBody',
+    'leaderboard-empty': 'leaderboardEmpty',
+    'leaderboard-message': 'leaderboardMessage',
+    'initials-input': 'initialsInput',
+    'export-leaderboard-button': 'exportLeaderboardButton',
+    'import-leaderboard-input': 'importLeaderboardInput',
+    'open-settings-button': 'openSettingsButton',
+    'settings-panel': 'settingsPanel',
+    'difficulty-select': 'difficultySelect',
+    'custom-difficulty': 'customDifficulty',
+    'ghost-toggle': 'ghostToggle',
+    'renderer-select': 'rendererSelect',
+    'close-settings-button': 'closeSettingsButton',
+    'key-bindings': 'keyBindings',
+    'reset-bindings-button': 'resetBindingsButton',
+    'fixed-resolution-toggle': 'fixedResolutionToggle',
+    'pause-overlay': 'pauseOverlay',
+    'pause-hint': 'pauseHint',
+    'resume-button': 'resumeButton',
+    'restart-button': 'restartButton',
+    'quit-button': 'quitButton',
+    'open-achievements-button': 'openAchievementsButton',
+    'achievements-panel': 'achievementsPanel',
+    'achievements-list': 'achievementsList',
+    'close-achievements-button': 'closeAchievementsButton',
+    'achievement-toast': 'achievementToast',
+    'mode-select': 'modeSelect',
+    'daily-info': 'dailyInfo',
+    'course-picker': 'coursePicker',
+    'course-select': 'courseSelect',
+    'load-course-input': 'loadCourseInput',
+    'course-info': 'courseInfo',
+    'update-prompt': 'updatePrompt',
+    'update-button': 'updateButton',
+    'debug-overlay': 'debugOverlay',
+    'debug-canvas': 'debugCanvas',
+    'debug-freeze-button': 'debugFreezeButton',
+    'debug-step-button': 'debugStepButton',
+    'debug-time-scale': 'debugTimeScale',
+    'debug-stats': 'debugStats',
+    'debug-sliders': 'debugSliders',
   };
 
   Object.entries(elementIdToKey).forEach(([id, key]) => {
@@ -283,7 +391,6 @@ const initDOMElements = () => {
     elements[key] = element;
   });
 
-  elements.obstacle.style.left = `${CONFIG.OBSTACLE.INITIAL_LEFT}px`;
   elements.player.style.bottom = 'var(--ground-level)';
   elements.orion.style.bottom = 'var(--ground-level)';
   elements.ground.style.bottom = '0';
@@ -298,39 +405,345 @@ const initDOMElements = () => {
 // UI Management
 // ----------------------------------------
 
+let appliedThemeColors = null;
+
+const ACHIEVEMENT_TOAST_DURATION = 3000; // milliseconds
+
+// Achievements unlocked together are announced one after another
+const achievementToasts = [];
+let achievementToastTimer = null;
+
 const UI = {
   updateScoreDisplay(score) {
     elements.score.textContent = `Score: ${score}`;
   },
 
-  updateEndGame(finalScore) {
+  // Lists active power-ups with the whole seconds they have left
+  updatePowerUps(sim) {
+    const labels = Object.keys(sim.activePowerUps).map((name) => {
+      const { LABEL } = sim.config.POWER_UPS[name];
+      const timeLeft = getPowerUpTimeLeft(sim, name);
+      return timeLeft === null
+        ? LABEL
+        : `${LABEL} ${Math.ceil(timeLeft / 1000)}s`;
+    });
+    const text = labels.join(' · ');
+    if (elements.powerUps.textContent !== text) {
+      elements.powerUps.textContent = text;
+    }
+    elements.powerUps.classList.toggle('hidden', labels.length === 0);
+  },
+
+  // Lives are only shown when there is more than one to lose
+  updateLives(lives) {
+    elements.lives.textContent = `Lives: ${lives}`;
+    elements.lives.classList.toggle('hidden', state.sim.config.GAME.LIVES <= 1);
+  },
+
+  // `isFinished` is true when a course run crossed the finish line
+  updateEndGame(finalScore, character, isFinished) {
+    elements.gameOverTitle.textContent = isFinished
+      ? 'Course complete!'
+      : 'Game Over!';
     elements.finalScore.textContent = `${finalScore}`;
-    elements.highScore.textContent = `High Score: ${state.highScore}`;
+    elements.crashReason.textContent = isFinished
+      ? ''
+      : UI.getCrashReason(character);
+    UI.updateHighScore();
     elements.gameOverMessage.classList.remove('hidden');
     elements.instructionDialog.style.display = 'block';
-    elements.gameContainer.classList.remove('parallax');
+    renderer.setRunning(false);
+    UI.updateReplayControls();
+  },
+
+  // In Two Players mode, whichever player crashed is named
+  getCrashReason(character) {
+    if (state.mode === GAME_MODES.TWO_PLAYER) {
+      return character === CHARACTERS.ORION
+        ? 'Player 2 crashed as Orion.'
+        : 'Player 1 crashed.';
+    }
+    return character === CHARACTERS.ORION
+      ? 'Orion tripped over an obstacle.'
+      : '';
+  },
+
+  updateHighScore() {
+    const labels = {
+      [GAME_MODES.DAILY]: 'Daily Best',
+      [GAME_MODES.COURSE]: 'Course Best',
+      [GAME_MODES.TWO_PLAYER]: 'Two-Player Best',
+    };
+    const label = labels[state.mode] || 'High Score';
+    elements.highScore.textContent = `${label}: ${state.highScore}`;
+  },
+
+  // How far along its course a run is
+  updateCourseProgress(sim) {
+    const { COURSE } = sim.config;
+    elements.courseProgress.classList.toggle('hidden', !COURSE);
+    if (!COURSE) {
+      return;
+    }
+    const percent = Math.min(
+      Math.floor((sim.distanceRan / COURSE.FINISH) * 100),
+      100
+    );
+    const text = `Course: ${percent}%`;
+    if (elements.courseProgress.textContent !== text) {
+      elements.courseProgress.textContent = text;
+    }
+  },
+
+  // The day's record and the time left until the next course
+  updateDailyInfo() {
+    const isDaily = settings.mode === GAME_MODES.DAILY;
+    elements.dailyInfo.classList.toggle('hidden', !isDaily);
+    if (!isDaily) {
+      return;
+    }
+    const { best, attempts } = dailyRecords.get(getDailyKey());
+    const countdown = formatCountdown(getTimeUntilNextDaily());
+    elements.dailyInfo.textContent =
+      `Today's best: ${best} in ${attempts} ` +
+      `${attempts === 1 ? 'attempt' : 'attempts'}. ` +
+      `Next course in ${countdown}`;
+  },
+
+  // The course picker, with the selected course's best score
+  updateCourseInfo() {
+    const isCourse = settings.mode === GAME_MODES.COURSE;
+    elements.coursePicker.classList.toggle('hidden', !isCourse);
+    if (!isCourse) {
+      return;
+    }
+    const options = courses.map((course) => {
+      const option = document.createElement('option');
+      option.value = course.name;
+      option.textContent = course.name;
+      return option;
+    });
+    elements.courseSelect.replaceChildren(...options);
+    const course = getSelectedCourse();
+    if (!course) {
+      elements.courseInfo.textContent = 'No courses could be loaded.';
+      return;
+    }
+    elements.courseSelect.value = course.name;
+    const isPractice =
+      playtest && playtest.name === course.name && playtest.start > 0;
+    elements.courseInfo.textContent = isPractice
+      ? `Test play from ${playtest.start}, not recorded.`
+      : `${course.obstacles.length} obstacles. ` +
+        `Best: ${courseRecords.getBest(course.name)}`;
+  },
+
+  updateReplayControls() {
+    const hasRecording = Boolean(state.lastRecording);
+    elements.watchReplayButton.classList.toggle('hidden', !hasRecording);
+    elements.downloadReplayButton.classList.toggle('hidden', !hasRecording);
+    elements.replayBadge.classList.toggle('hidden', !state.replay);
+  },
+
+  // `distanceBehind` is how far ahead of this run the ghost is at this tick
+  updateGhostIndicator(distanceBehind) {
+    if (distanceBehind === null) {
+      elements.ghostIndicator.classList.add('hidden');
+      return;
+    }
+    elements.ghostIndicator.textContent =
+      distanceBehind > 0
+        ? `Behind best by ${Math.ceil(distanceBehind)}`
+        : `Ahead of best by ${Math.floor(-distanceBehind)}`;
+    elements.ghostIndicator.classList.toggle('ahead', distanceBehind <= 0);
+    elements.ghostIndicator.classList.remove('hidden');
+  },
+
+  updateAudioControls() {
+    elements.masterVolume.value = audio.settings.master;
+    elements.musicVolume.value = audio.settings.music;
+    elements.sfxVolume.value = audio.settings.sfx;
+    elements.muteToggle.checked = audio.settings.muted;
+  },
+
+  // `highlightIndex` marks the run that just finished, if it made the board
+  updateLeaderboard(highlightIndex = -1) {
+    const { selectedOptions } = elements.difficultySelect;
+    elements.leaderboardTitle.textContent = `Leaderboard (${selectedOptions[0].textContent})`;
+    const entries = leaderboard.getEntries(CONFIG.DIFFICULTY);
+    const rows = entries.map((entry, index) => {
+      const row = document.createElement('tr');
+      row.classList.toggle('new-entry', index === highlightIndex);
+      [
+        index + 1,
+        entry.initials,
+        entry.score,
+        entry.distance,
+        entry.obstaclesCleared,
+        entry.topSpeed,
+        new Date(entry.date).toLocaleDateString(),
+      ].forEach((value) => {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        row.appendChild(cell);
+      });
+      return row;
+    });
+    elements.leaderboardBody.replaceChildren(...rows);
+    elements.leaderboardTable.classList.toggle('hidden', rows.length === 0);
+    elements.leaderboardEmpty.classList.toggle('hidden', rows.length > 0);
+  },
+
+  updateSettingsControls() {
+    elements.modeSelect.value = settings.mode;
+    elements.difficultySelect.value = settings.difficulty;
+    elements.customDifficulty.classList.toggle(
+      'hidden',
+      settings.difficulty !== DIFFICULTIES.CUSTOM
+    );
+    elements.customDifficulty
+      .querySelectorAll('[data-setting]')
+      .forEach((input) => {
+        const value = settings.custom[input.dataset.setting];
+        if (input.type === 'checkbox') {
+          input.checked = value;
+        } else {
+          input.value = value;
+        }
+      });
+    elements.ghostToggle.checked = settings.showGhost;
+    elements.rendererSelect.value = settings.renderer;
+    elements.fixedResolutionToggle.checked = settings.fixedResolution;
+    elements.initialsInput.value = settings.initials;
+    UI.updateAudioControls();
+  },
+
+  showSettings(isVisible) {
+    elements.settingsPanel.classList.toggle('hidden', !isVisible);
+    if (!isVisible) {
+      input.cancelCapture();
+      UI.updateControls();
+    }
+  },
+
+  // Shows the current bindings on the rebind buttons and in the start dialog
+  updateControls() {
+    elements.keyBindings
+      .querySelectorAll('[data-command]')
+      .forEach((button) => {
+        const { command } = button.dataset;
+        button.textContent =
+          input.capturingCommand === command
+            ? 'Press a key…'
+            : input.formatBinding(command);
+      });
+    const gamepad = input.hasGamepad() ? ', press A' : '';
+    elements.instructionMessage.textContent =
+      `Press ${input.formatBinding(COMMANDS.JUMP)}${gamepad} or Tap to Start. ` +
+      `Duck: ${input.formatBinding(COMMANDS.DUCK)}, ` +
+      `Whistle: ${input.formatBinding(COMMANDS.WHISTLE)}, ` +
+      `Pause: ${input.formatBinding(COMMANDS.PAUSE)}` +
+      (settings.mode === GAME_MODES.TWO_PLAYER
+        ? `. Player 2 jumps for Orion: ${input.formatBinding(
+            COMMANDS.ORION_JUMP
+          )}, the second gamepad or the left half of the screen`
+        : '');
+    elements.pauseHint.textContent = `Press ${input.formatBinding(
+      COMMANDS.PAUSE
+    )} to resume.`;
+  },
+
+  // Biome colors such as the HUD's are CSS custom properties on the page
+  updateThemeColors(theme) {
+    const colors = getThemeColors(theme);
+    if (colors !== appliedThemeColors) {
+      Object.entries(colors).forEach(([name, value]) =>
+        document.documentElement.style.setProperty(name, value)
+      );
+      appliedThemeColors = colors;
+    }
+  },
+
+  showAchievements(isVisible) {
+    elements.achievementsPanel.classList.toggle('hidden', !isVisible);
+    if (!isVisible) {
+      return;
+    }
+    const items = achievements.getList().map((achievement) => {
+      const item = document.createElement('li');
+      item.classList.toggle('unlocked', Boolean(achievement.unlockedAt));
+      const title = document.createElement('span');
+      title.className = 'achievement-title';
+      title.textContent = achievement.TITLE;
+      const status = document.createElement('span');
+      status.className = 'achievement-status';
+      if (achievement.unlockedAt) {
+        status.textContent = new Date(
+          achievement.unlockedAt
+        ).toLocaleDateString();
+      } else if (achievement.progress !== null) {
+        status.textContent = `${achievement.progress} / ${achievement.TARGET}`;
+      } else {
+        status.textContent = 'Locked';
+      }
+      item.append(title, status, ` ${achievement.DESCRIPTION}`);
+      return item;
+    });
+    elements.achievementsList.replaceChildren(...items);
+  },
+
+  showAchievementToast(achievement) {
+    if (achievement) {
+      achievementToasts.push(achievement);
+    }
+    if (achievementToastTimer !== null) {
+      return;
+    }
+    const next = achievementToasts.shift();
+    if (!next) {
+      elements.achievementToast.classList.add('hidden');
+      return;
+    }
+    elements.achievementToast.textContent = `Achievement unlocked: ${next.TITLE}`;
+    elements.achievementToast.classList.remove('hidden');
+    achievementToastTimer = setTimeout(() => {
+      achievementToastTimer = null;
+      UI.showAchievementToast();
+    }, ACHIEVEMENT_TOAST_DURATION);
+  },
+
+  showPauseOverlay(isVisible) {
+    elements.pauseOverlay.classList.toggle('hidden', !isVisible);
+  },
+
+  showLeaderboardMessage(message) {
+    elements.leaderboardMessage.textContent = message;
+    elements.leaderboardMessage.classList.remove('hidden');
+  },
+
+  showReplayMessage(message) {
+    elements.replayMessage.textContent = message;
+    elements.replayMessage.classList.remove('hidden');
   },
 
   updateInitial() {
-    elements.highScore.textContent = `High Score: ${state.highScore}`;
+    UI.updateHighScore();
+    UI.updateLeaderboard();
     elements.gameOverMessage.classList.add('hidden');
     elements.instructionDialog.style.display = 'block';
-    elements.gameContainer.classList.remove('parallax');
+    renderer.setRunning(false);
   },
 
   updateGameUI(isPlaying) {
-    // Only apply vertical translation
-    elements.player.style.transform = `translateY(-${state.playerY}px)`;
-    elements.orion.style.transform = `translateY(-${state.orionY}px)`;
-
-    elements.obstacle.style.display = isPlaying ? 'block' : 'none';
     elements.gameOverMessage.style.display = 'none';
     elements.instructionDialog.style.display = isPlaying ? 'none' : 'block';
-    elements.player.style.animationPlayState = isPlaying ? 'running' : 'paused';
-    elements.orion.style.animationPlayState = isPlaying ? 'running' : 'paused';
-    UI.updateScoreDisplay(isPlaying ? 0 : state.score);
-    elements.highScore.textContent = `High Score: ${state.highScore}`;
-    elements.gameContainer.classList.toggle('parallax', isPlaying);
+    renderer.setRunning(isPlaying);
+    UI.updateScoreDisplay(isPlaying ? 0 : state.sim.score);
+    UI.updatePowerUps(state.sim);
+    UI.updateLives(state.sim.lives);
+    UI.updateCourseProgress(state.sim);
+    UI.updateHighScore();
+    UI.updateReplayControls();
   },
 };
 
@@ -338,10 +751,15 @@ const UI = {
 // Game Visuals Setup
 // ----------------------------------------
 
+// Sprite sheets are set from the sprite manifest (see js/sprites.js)
 const assetToElementMap = {
-  'player_sprite_sheet.png': 'player',
-  'orion_sprite_sheet.png': 'orion',
   'obstacle.png': 'obstacle',
+  'obstacle-tall.svg': 'obstacle',
+  'obstacle-flying.svg': 'obstacle',
+  'treat.svg': 'collectible',
+  'power-slow-motion.svg': 'collectible',
+  'power-shield.svg': 'collectible',
+  'power-multiplier.svg': 'collectible',
   'sky.svg': 'skyBackground',
   'ground.svg': 'ground',
 };
@@ -357,8 +775,7 @@ const setupGameVisuals = (assetList) => {
     const element = elements[elementKey];
     const image = getAsset('images', asset);
     if (element && image) {
-      // Skip setting background-image for player (handled by CSS)
-      if (['orion_sprite_sheet.png', 'obstacle.png'].includes(assetName)) {
+      if (assetName === 'obstacle.png') {
         element.style.backgroundImage = `url(${image.src})`;
       }
     } else {
@@ -368,66 +785,413 @@ const setupGameVisuals = (assetList) => {
   log('Game visuals set up.', LOG_LEVELS.INFO);
 };
 
-const preloadJumpSprite = () => {
-  return new Promise((resolve, reject) => {
-    const img = new Image();
-    img.onload = () => {
-      assets.images['player-jump_sprite_sheet.png'] = img;
-      log('Jump sprite sheet preloaded.', LOG_LEVELS.INFO);
-      resolve();
-    };
-    img.onerror = () =>
-      reject(new Error('Failed to load player-jump_sprite_sheet.png'));
-    img.src = 'assets/player-jump_sprite_sheet.png';
-  });
-};
-
 // ----------------------------------------
 // Event Handling
 // ----------------------------------------
 
-const keyActions = {
-  Space: () =>
+const commandActions = {
+  [COMMANDS.JUMP]: () =>
     handleStateTransition(
       state.gameState === GAME_STATES.PLAYING ? ACTIONS.JUMP : ACTIONS.START
     ),
-  KeyP: () =>
+  [COMMANDS.DUCK]: () => handleStateTransition(ACTIONS.DUCK),
+  [COMMANDS.WHISTLE]: () => handleStateTransition(ACTIONS.WHISTLE),
+  // Player two's jump, or player one's outside Two Players mode
+  [COMMANDS.ORION_JUMP]: () =>
+    isPlayerTwoPlaying()
+      ? handleStateTransition(ACTIONS.ORION_JUMP)
+      : commandActions[COMMANDS.JUMP](),
+  [COMMANDS.TOGGLE_GHOST]: () => toggleGhost(),
+  [COMMANDS.TOGGLE_MUTE]: () => toggleMute(),
+  [COMMANDS.TOGGLE_DEBUG]: () => debug.toggle(),
+  [COMMANDS.PAUSE]: () =>
     handleStateTransition(
       state.gameState === GAME_STATES.PLAYING ? ACTIONS.PAUSE : ACTIONS.RESUME
     ),
 };
 
+// Releasing jump early makes for a lower jump
+const commandReleaseActions = {
+  [COMMANDS.JUMP]: () => handleStateTransition(ACTIONS.JUMP_RELEASE),
+  // Orion's jumps are always full height
+  [COMMANDS.ORION_JUMP]: () => {
+    if (!isPlayerTwoPlaying()) {
+      handleStateTransition(ACTIONS.JUMP_RELEASE);
+    }
+  },
+};
+
+const isPlayerTwoPlaying = () =>
+  state.mode === GAME_MODES.TWO_PLAYER &&
+  state.gameState === GAME_STATES.PLAYING;
+
+const handleCommand = (command) => {
+  const action = !isPanelOpen() && commandActions[command];
+  if (action) {
+    action();
+  }
+};
+
+const handleCommandRelease = (command) => {
+  const action = commandReleaseActions[command];
+  if (action) {
+    action();
+  }
+};
+
+// The settings and achievements panels cover the start dialog
+const isPanelOpen = () =>
+  !elements.settingsPanel.classList.contains('hidden') ||
+  !elements.achievementsPanel.classList.contains('hidden');
+
+// Shortcuts must not fire while the player types their initials, drags a
+// slider or has a panel open
+const shouldIgnoreKey = (e) =>
+  (e.target instanceof HTMLInputElement &&
+    ['text', 'range'].includes(e.target.type)) ||
+  isPanelOpen();
+
 const handleKeydown = (e) => {
+  // While rebinding, the next key press is the new binding
+  if (input.isCapturing) {
+    e.preventDefault();
+    if (input.capture(e.code)) {
+      saveSettings(settings);
+    }
+    UI.updateControls();
+    return;
+  }
+  if (shouldIgnoreKey(e)) {
+    return;
+  }
   try {
-    if (e.code === 'Space' && state.gameState === GAME_STATES.INITIAL) {
-      e.preventDefault();
-      keyActions.Space();
+    audio.unlock();
+    const command = input.getCommandForKey(e.code);
+    if (!command) {
       return;
     }
-
-    const action = keyActions[e.code];
-    if (action) {
-      e.preventDefault();
-      action();
+    e.preventDefault();
+    // Holding jump must not turn into a stream of (double) jumps
+    if (!(e.repeat && [COMMANDS.JUMP, COMMANDS.ORION_JUMP].includes(command))) {
+      handleCommand(command);
     }
   } catch (error) {
     logError(error);
   }
 };
 
-const handleTouchStart = () => {
-  if (state.gameState === GAME_STATES.PLAYING) {
-    handleStateTransition(ACTIONS.JUMP);
-  } else if (
-    [GAME_STATES.INITIAL, GAME_STATES.CRASHED].includes(state.gameState)
+const handleKeyup = (e) => {
+  if (shouldIgnoreKey(e)) {
+    return;
+  }
+  handleCommandRelease(input.getCommandForKey(e.code));
+};
+
+const handleRebindClick = (e) => {
+  const button = e.target.closest('[data-command]');
+  if (button) {
+    input.startCapture(button.dataset.command);
+    UI.updateControls();
+  }
+};
+
+const handleResetBindings = () => {
+  input.cancelCapture();
+  input.resetBindings();
+  saveSettings(settings);
+  UI.updateControls();
+};
+
+// Leaving the tab or window mid-run pauses it; resuming is left to the player
+const handleFocusLoss = () => {
+  if (
+    state.gameState === GAME_STATES.PLAYING &&
+    (document.hidden || !document.hasFocus())
   ) {
-    handleStateTransition(ACTIONS.START);
+    log('Focus lost, pausing.', LOG_LEVELS.INFO);
+    handleStateTransition(ACTIONS.PAUSE);
   }
 };
 
+const handleGamepadConnection = (e) => {
+  log(
+    `Gamepad ${e.gamepad.id} ${e.type === 'gamepadconnected' ? 'connected' : 'disconnected'}.`,
+    LOG_LEVELS.INFO
+  );
+  UI.updateControls();
+};
+
+// Player one's jumping fingers, by touch.identifier, with where each started
+// since a swipe down from there turns the jump into a duck. Only lifting one
+// of these releases the jump: player two's touches jump Orion, always to full
+// height, and must not cut a jump player one holds on the keyboard.
+const jumpTouches = new Map(); // identifier -> startY
+
+// In Two Players mode the left half of the game is player two's
+const isPlayerTwoTouch = (touch) => {
+  const { left, width } = elements.gameContainer.getBoundingClientRect();
+  return isPlayerTwoPlaying() && touch.clientX < left + width / 2;
+};
+
+const handleTouchStart = (e) => {
+  // Let taps on dialog controls reach the control instead of starting a run
+  if (
+    e.target.closest(
+      'a, button, label, input, select, .settings-panel, .pause-overlay, .debug-panel'
+    )
+  ) {
+    return;
+  }
+  audio.unlock();
+  const [touch] = e.changedTouches;
+  if (isPlayerTwoTouch(touch)) {
+    handleCommand(COMMANDS.ORION_JUMP);
+    return;
+  }
+  // A second finger whistles for Orion instead of jumping again, unless
+  // player two has Orion
+  if (
+    state.gameState === GAME_STATES.PLAYING &&
+    e.touches.length > 1 &&
+    !isPlayerTwoPlaying()
+  ) {
+    handleCommand(COMMANDS.WHISTLE);
+    return;
+  }
+  jumpTouches.set(touch.identifier, touch.clientY);
+  handleCommand(COMMANDS.JUMP);
+};
+
+const handleTouchMove = (e) => {
+  [...e.changedTouches].forEach((touch) => {
+    const startY = jumpTouches.get(touch.identifier);
+    if (
+      startY !== undefined &&
+      touch.clientY - startY >= CONFIG.INPUT.SWIPE_THRESHOLD
+    ) {
+      jumpTouches.delete(touch.identifier);
+      handleCommand(COMMANDS.DUCK);
+    }
+  });
+};
+
+// Fingers that whistled or swiped into a duck have nothing to release
+const handleTouchEnd = (e) => {
+  [...e.changedTouches].forEach((touch) => {
+    if (jumpTouches.delete(touch.identifier)) {
+      handleCommandRelease(COMMANDS.JUMP);
+    }
+  });
+};
+
+const handleLoadReplay = async (e) => {
+  const [file] = e.target.files;
+  e.target.value = '';
+  if (!file) {
+    return;
+  }
+
+  try {
+    const recording = parseRecording(await readFileAsText(file));
+    const { valid, score } = verifyRecording(recording);
+    state.lastRecording = recording;
+    UI.updateReplayControls();
+    UI.showReplayMessage(
+      valid
+        ? `Replay verified: ${score} points.`
+        : `Replay does not reproduce its score (claimed ${recording.finalScore}, got ${score}).`
+    );
+    log(`Replay loaded from ${file.name}, valid: ${valid}`, LOG_LEVELS.INFO);
+  } catch (error) {
+    logError(error);
+    UI.showReplayMessage(`Could not load replay: ${error.message}`);
+  }
+};
+
+// A course file is added to the picker and selected
+const handleLoadCourse = async (e) => {
+  const [file] = e.target.files;
+  e.target.value = '';
+  if (!file) {
+    return;
+  }
+
+  try {
+    const course = parseCourse(await readFileAsText(file), BASE_CONFIG);
+    addCourse(course);
+    settings.course = course.name;
+    applyRunSettings();
+    log(`Course ${course.name} loaded from ${file.name}.`, LOG_LEVELS.INFO);
+  } catch (error) {
+    logError(error);
+    elements.courseInfo.textContent = `Could not load course: ${error.message}`;
+  }
+};
+
+const handleImportLeaderboard = async (e) => {
+  const [file] = e.target.files;
+  e.target.value = '';
+  if (!file) {
+    return;
+  }
+
+  try {
+    const added = leaderboard.import(await readFileAsText(file));
+    if (state.mode === GAME_MODES.ENDLESS) {
+      state.highScore = leaderboard.getHighScore(CONFIG.DIFFICULTY);
+      UI.updateHighScore();
+    }
+    UI.updateLeaderboard();
+    UI.showLeaderboardMessage(`Imported ${added} new runs.`);
+  } catch (error) {
+    logError(error);
+    UI.showLeaderboardMessage(`Could not import leaderboard: ${error.message}`);
+  }
+};
+
+const handleInitialsInput = () => {
+  const initials = formatInitials(elements.initialsInput.value);
+  elements.initialsInput.value = initials;
+  settings.initials = initials;
+  saveSettings(settings);
+};
+
+// A paused run keeps its mode and difficulty; changes apply from the next run
+const applyRunSettings = () => {
+  saveSettings(settings);
+  CONFIG = createRunConfig();
+  UI.updateSettingsControls();
+  UI.updateDailyInfo();
+  UI.updateCourseInfo();
+  UI.updateControls();
+  if (state.gameState !== GAME_STATES.PAUSED) {
+    state.reset();
+    UI.updateGameUI(false);
+    UI.updateInitial();
+  }
+};
+
+const handleModeChange = () => {
+  settings.mode = elements.modeSelect.value;
+  applyRunSettings();
+  log(`Mode set to ${settings.mode}.`, LOG_LEVELS.INFO);
+};
+
+const handleCourseChange = () => {
+  settings.course = elements.courseSelect.value;
+  applyRunSettings();
+  log(`Course set to ${settings.course}.`, LOG_LEVELS.INFO);
+};
+
+const handleDifficultyChange = () => {
+  settings.difficulty = elements.difficultySelect.value;
+  applyRunSettings();
+  log(`Difficulty set to ${settings.difficulty}.`, LOG_LEVELS.INFO);
+};
+
+const handleCustomDifficultyChange = () => {
+  const custom = {};
+  elements.customDifficulty
+    .querySelectorAll('[data-setting]')
+    .forEach((input) => {
+      custom[input.dataset.setting] =
+        input.type === 'checkbox' ? input.checked : Number(input.value);
+    });
+  settings.custom = sanitizeCustomPreset(custom);
+  applyRunSettings();
+  log('Custom difficulty changed.', LOG_LEVELS.INFO);
+};
+
+const handleFixedResolutionChange = () => {
+  settings.fixedResolution = elements.fixedResolutionToggle.checked;
+  saveSettings(settings);
+  layout.setFixed(settings.fixedResolution);
+};
+
+// The renderer is created once at startup, so a change applies after a reload
+const handleRendererChange = () => {
+  settings.renderer = elements.rendererSelect.value;
+  saveSettings(settings);
+  log(`Renderer set to ${settings.renderer}.`, LOG_LEVELS.INFO);
+};
+
 const setupEventListeners = () => {
   document.addEventListener('keydown', handleKeydown);
+  document.addEventListener('keyup', handleKeyup);
   document.addEventListener('touchstart', handleTouchStart);
+  document.addEventListener('touchmove', handleTouchMove);
+  document.addEventListener('touchend', handleTouchEnd);
+  document.addEventListener('touchcancel', handleTouchEnd);
+  document.addEventListener('visibilitychange', handleFocusLoss);
+  // Sends any batched telemetry before the page goes away
+  window.addEventListener('pagehide', () => telemetry.flush());
+  window.addEventListener('blur', handleFocusLoss);
+  window.addEventListener('gamepadconnected', handleGamepadConnection);
+  window.addEventListener('gamepaddisconnected', handleGamepadConnection);
+  elements.keyBindings.addEventListener('click', handleRebindClick);
+  elements.resetBindingsButton.addEventListener('click', handleResetBindings);
+  elements.watchReplayButton.addEventListener('click', () =>
+    startReplay(state.lastRecording)
+  );
+  elements.downloadReplayButton.addEventListener('click', () =>
+    downloadJSON(
+      state.lastRecording,
+      `orions-chase-replay-${state.lastRecording.finalScore}.json`
+    )
+  );
+  elements.loadReplayInput.addEventListener('change', handleLoadReplay);
+  elements.exportLeaderboardButton.addEventListener('click', () =>
+    downloadJSON(leaderboard.toJSON(), 'orions-chase-leaderboard.json')
+  );
+  elements.importLeaderboardInput.addEventListener(
+    'change',
+    handleImportLeaderboard
+  );
+  elements.initialsInput.addEventListener('input', handleInitialsInput);
+  elements.openSettingsButton.addEventListener('click', () =>
+    UI.showSettings(true)
+  );
+  elements.closeSettingsButton.addEventListener('click', () =>
+    UI.showSettings(false)
+  );
+  elements.openAchievementsButton.addEventListener('click', () =>
+    UI.showAchievements(true)
+  );
+  elements.closeAchievementsButton.addEventListener('click', () =>
+    UI.showAchievements(false)
+  );
+  elements.modeSelect.addEventListener('change', handleModeChange);
+  elements.courseSelect.addEventListener('change', handleCourseChange);
+  elements.loadCourseInput.addEventListener('change', handleLoadCourse);
+  elements.difficultySelect.addEventListener('change', handleDifficultyChange);
+  elements.customDifficulty.addEventListener(
+    'change',
+    handleCustomDifficultyChange
+  );
+  elements.ghostToggle.addEventListener('change', toggleGhost);
+  elements.rendererSelect.addEventListener('change', handleRendererChange);
+  elements.fixedResolutionToggle.addEventListener(
+    'change',
+    handleFixedResolutionChange
+  );
+  [
+    ['master', elements.masterVolume],
+    ['music', elements.musicVolume],
+    ['sfx', elements.sfxVolume],
+  ].forEach(([channel, input]) =>
+    input.addEventListener('input', () => {
+      audio.unlock();
+      audio.setVolume(channel, input.value);
+      saveSettings(settings);
+    })
+  );
+  elements.muteToggle.addEventListener('change', toggleMute);
+  elements.resumeButton.addEventListener('click', () =>
+    handleStateTransition(ACTIONS.RESUME)
+  );
+  elements.restartButton.addEventListener('click', restartGame);
+  elements.quitButton.addEventListener('click', quitGame);
+  elements.updateButton.addEventListener('click', () => offline.applyUpdate());
   log('Event listeners set up.', LOG_LEVELS.INFO);
 };
 
@@ -440,20 +1204,34 @@ const handleStateTransition = (action) => {
   switch (state.gameState) {
     case GAME_STATES.INITIAL:
     case GAME_STATES.CRASHED:
+    case GAME_STATES.FINISHED:
       if (action === ACTIONS.START) {
         resetGame();
         startGame();
       }
       break;
     case GAME_STATES.PLAYING:
-      if (action === ACTIONS.JUMP) {
-        handleJump();
+      if (SIMULATED_ACTIONS.includes(action)) {
+        // Replays take their inputs from the recording
+        if (!state.replay) {
+          recorder.record(state.sim.tick, action);
+          GameLoop.queueAction(action);
+        }
       } else if (action === ACTIONS.PAUSE) {
+        recorder.record(state.sim.tick, action);
+        reportEvent(TELEMETRY_EVENTS.PAUSED, {
+          reason: isPausedForLayout ? 'layout' : 'player',
+        });
+        if (!isPausedForLayout) {
+          achievements.recordPause();
+        }
         pauseGame();
       }
       break;
     case GAME_STATES.PAUSED:
       if (action === ACTIONS.RESUME) {
+        recorder.record(state.sim.tick, action);
+        reportEvent(TELEMETRY_EVENTS.RESUMED);
         resumeGame();
       }
       break;
@@ -467,109 +1245,426 @@ const handleStateTransition = (action) => {
 // ----------------------------------------
 
 const startGame = () => {
-  state.lastFrameTime = performance.now();
+  if (!state.replay) {
+    if (state.mode === GAME_MODES.DAILY) {
+      dailyRecords.recordAttempt(state.sim.config.DAILY);
+    }
+    if (!state.isPractice) {
+      achievements.startRun();
+    }
+    ghostRecorder.start(state.sim.config);
+    recorder.start(state.sim.seed, state.sim.config);
+    input.setTwoPlayer(state.mode === GAME_MODES.TWO_PLAYER);
+    recorder.record(state.sim.tick, ACTIONS.START);
+    startRunTelemetry();
+  }
   state.gameState = GAME_STATES.PLAYING;
   UI.updateGameUI(true);
+  audio.startMusic();
   GameLoop.start();
   elements.instructionDialog.style.display = 'none';
-  elements.player.classList.add('running');
-  elements.orion.classList.add('running');
-  elements.obstacle.style.display = 'block';
-  elements.gameContainer.classList.add('parallax');
-  state.gameStartTime = performance.now();
-  state.lastSpeedIncrementTime = performance.now();
+  renderer.render(state.sim);
   log('Game started.', LOG_LEVELS.INFO);
 };
 
-const resetGame = () => {
+const resetGame = (recording = null) => {
+  if (state.gameState === GAME_STATES.PAUSED) {
+    reportRunEnded('abandoned');
+  }
   GameLoop.cancel();
-  state.reset();
-  resetPositions();
+  GameLoop.clearActions();
+  // A run abandoned from the pause menu still counts toward lifetime totals
+  achievements.finishRun();
+  // A new day brings a new Daily Run course
+  if (CONFIG.DAILY && CONFIG.DAILY !== getDailyKey()) {
+    CONFIG = createRunConfig();
+  }
+  state.reset(recording);
+  renderer.reset();
+  const theme = getThemeState(
+    CONFIG,
+    state.sim.distanceRan,
+    getFirstBiome(state.sim)
+  );
+  renderer.renderTheme(theme);
+  UI.updateThemeColors(theme);
+  UI.showPauseOverlay(false);
   UI.updateGameUI(false);
   elements.instructionDialog.style.display = 'block';
   elements.gameOverMessage.classList.add('hidden');
-  elements.obstacle.style.display = 'none';
-  elements.player.classList.remove('jumping');
-  elements.player.classList.remove('running');
-  elements.orion.classList.remove('running');
-  elements.gameContainer.classList.remove('parallax');
   log('Game reset.', LOG_LEVELS.INFO);
 };
 
-const resetPositions = () => {
-  elements.obstacle.style.left = `${state.obstacleX}px`;
-  const playerCenterY = CONFIG.GAME.GROUND_LEVEL + CONFIG.PLAYER.HEIGHT / 2.5;
-  const obstacleBottom = playerCenterY - CONFIG.OBSTACLE.HEIGHT;
-  elements.obstacle.style.bottom = `${obstacleBottom}px`;
+// Ends a run that crashed or, on a course, crossed the finish line
+const endGame = () => {
+  const isFinished = state.sim.finished;
+  GameLoop.idle();
+  state.gameState = isFinished ? GAME_STATES.FINISHED : GAME_STATES.CRASHED;
+  renderer.clearPose();
+  audio.stopMusic();
+
+  const finalScore = state.sim.score;
+  let leaderboardIndex = -1;
+  if (state.replay) {
+    log(`Replay finished. Final score: ${finalScore}`, LOG_LEVELS.INFO);
+  } else {
+    state.lastRecording = recorder.finish(state.sim);
+    achievements.finishRun();
+    reportRunEnded(isFinished ? 'finished' : 'crashed');
+    if (state.mode === GAME_MODES.DAILY) {
+      // Daily courses change every day, so they stay off the leaderboard
+      if (dailyRecords.recordScore(state.sim.config.DAILY, finalScore)) {
+        state.highScore = finalScore;
+      }
+    } else if (state.mode === GAME_MODES.COURSE) {
+      // A course's best counts runs that reach the finish
+      if (
+        isFinished &&
+        !state.isPractice &&
+        courseRecords.recordScore(state.sim.config.COURSE.NAME, finalScore)
+      ) {
+        state.highScore = finalScore;
+      }
+    } else if (state.mode === GAME_MODES.TWO_PLAYER) {
+      // Shared scores stay off the single-player leaderboard
+      if (
+        twoPlayerRecords.recordScore(state.sim.config.DIFFICULTY, finalScore)
+      ) {
+        state.highScore = finalScore;
+      }
+    } else {
+      const ghostTrack = ghostRecorder.finish(state.sim);
+      leaderboardIndex = leaderboard.add(
+        createEntry(state.sim, settings.initials)
+      );
+      if (finalScore > state.highScore) {
+        state.highScore = finalScore;
+        saveGhostTrack(ghostTrack, state.sim.config.DIFFICULTY);
+        state.ghostTrack = ghostTrack;
+      }
+    }
+  }
+  UI.updateLeaderboard(leaderboardIndex);
+  UI.updateCourseInfo();
 
-  elements.player.style.transform = `translateY(0)`;
-  elements.orion.style.transform = `translateY(0)`;
+  const crash = state.sim.events.find(
+    (event) => event.type === SIM_EVENTS.CRASHED
+  );
+  UI.updateEndGame(finalScore, crash && crash.character, isFinished);
+  log(`Game ended. Final score: ${finalScore}`, LOG_LEVELS.INFO);
 };
 
-const endGame = () => {
-  GameLoop.cancel();
-  state.gameState = GAME_STATES.CRASHED;
-  elements.player.classList.remove('jumping');
-  elements.player.classList.remove('running');
-  elements.orion.classList.remove('running');
+const toggleGhost = () => {
+  settings.showGhost = !settings.showGhost;
+  saveSettings(settings);
+  elements.ghostToggle.checked = settings.showGhost;
+  log(
+    `Ghost runner ${settings.showGhost ? 'shown' : 'hidden'}.`,
+    LOG_LEVELS.INFO
+  );
+};
 
-  const finalScore = state.score;
-  if (finalScore > state.highScore) {
-    state.highScore = finalScore;
-    saveHighScore(state.highScore);
+const toggleMute = () => {
+  audio.unlock();
+  audio.toggleMute();
+  saveSettings(settings);
+  UI.updateAudioControls();
+};
+
+// ----------------------------------------
+// Layout Changes
+// ----------------------------------------
+
+let layout = null;
+
+// Set when a run was paused for a layout change rather than by the player
+let isPausedForLayout = false;
+
+const handleLayoutChangeStart = () => {
+  if (state.gameState === GAME_STATES.PLAYING) {
+    isPausedForLayout = true;
+    handleStateTransition(ACTIONS.PAUSE);
   }
+};
 
-  UI.updateEndGame(finalScore);
-  log(`Game ended. Final score: ${finalScore}`, LOG_LEVELS.INFO);
-  elements.gameContainer.classList.remove('parallax');
+const handleLayoutChange = (viewport) => {
+  BASE_CONFIG = createBaseConfig(viewport);
+  CONFIG = createRunConfig();
+  // Replays follow the layout changes recorded with them instead
+  if (!state.replay) {
+    const config = resizeConfig(state.sim.config, cssVars, viewport);
+    resizeSimulation(state.sim, config);
+    recorder.recordResize(state.sim.tick, config);
+  }
+  renderer.resize(BASE_CONFIG);
+  debug.resize(BASE_CONFIG);
+  if (isPausedForLayout) {
+    isPausedForLayout = false;
+    handleStateTransition(ACTIONS.RESUME);
+  }
 };
 
-const handleJump = () => {
-  if (!state.isJumping) {
-    state.isJumping = true;
-    state.jumpStartTime = performance.now();
-    elements.player.classList.remove('running');
-    elements.player.classList.add('jumping');
-    log('Player jumped.', LOG_LEVELS.INFO);
+// Debug tweaks apply to the run in progress and to the runs after it. In a
+// run they are recorded like a resize, which swaps in the new config, so its
+// replay stays in step.
+const handleDebugConfigChange = (path, value) => {
+  CONFIG = withConfigValue(CONFIG, path, value);
+  const config = withConfigValue(state.sim.config, path, value);
+  resizeSimulation(state.sim, config);
+  if (!state.replay) {
+    recorder.recordResize(state.sim.tick, config);
   }
+  log(`Debug: ${path.join('.')} set to ${value}.`, LOG_LEVELS.INFO);
+};
+
+const startReplay = (recording) => {
+  resetGame(recording);
+  startGame();
+  log(`Replaying run recorded at ${recording.recordedAt}`, LOG_LEVELS.INFO);
 };
 
 const pauseGame = () => {
   if (state.gameState === GAME_STATES.PLAYING) {
-    GameLoop.cancel();
+    GameLoop.idle();
     state.gameState = GAME_STATES.PAUSED;
-    elements.player.style.animationPlayState = 'paused';
-    elements.orion.style.animationPlayState = 'paused';
-    elements.gameContainer.classList.remove('parallax');
+    renderer.setRunning(false);
+    audio.pauseMusic();
+    UI.showPauseOverlay(true);
     log('Game paused.', LOG_LEVELS.INFO);
   }
 };
 
 const resumeGame = () => {
   if (state.gameState === GAME_STATES.PAUSED) {
-    state.lastFrameTime = performance.now();
     state.gameState = GAME_STATES.PLAYING;
-    elements.player.style.animationPlayState = 'running';
-    elements.orion.style.animationPlayState = 'running';
-    elements.gameContainer.classList.add('parallax');
+    UI.showPauseOverlay(false);
+    renderer.setRunning(true);
+    audio.resumeMusic();
+    // start() resets the frame timer, so the time spent paused is not played
     GameLoop.start();
     log('Game resumed.', LOG_LEVELS.INFO);
   }
 };
 
+// Abandons the paused run and starts over; replays start from the beginning
+const restartGame = () => {
+  if (state.gameState !== GAME_STATES.PAUSED) {
+    return;
+  }
+  if (state.replay) {
+    startReplay(state.replay.recording);
+    return;
+  }
+  resetGame();
+  startGame();
+  log('Game restarted.', LOG_LEVELS.INFO);
+};
+
+// Abandons the paused run and goes back to the start dialog
+const quitGame = () => {
+  if (state.gameState !== GAME_STATES.PAUSED) {
+    return;
+  }
+  audio.stopMusic();
+  resetGame();
+  GameLoop.idle();
+  UI.updateInitial();
+  log('Game quit.', LOG_LEVELS.INFO);
+};
+
 // ----------------------------------------
 // Game Loop
 // ----------------------------------------
 
+const logSimulationEvent = (event) => {
+  switch (event.type) {
+    case SIM_EVENTS.JUMP:
+      log(
+        event.isDoubleJump ? 'Player double jumped.' : 'Player jumped.',
+        LOG_LEVELS.INFO
+      );
+      break;
+    case SIM_EVENTS.DUCK:
+      log('Player ducked.', LOG_LEVELS.INFO);
+      break;
+    case SIM_EVENTS.WHISTLE:
+      log('Player whistled for Orion.', LOG_LEVELS.INFO);
+      break;
+    case SIM_EVENTS.ORION_MISSED:
+      log(`Orion missed obstacle ${event.obstacle.id}.`, LOG_LEVELS.INFO);
+      break;
+    case SIM_EVENTS.HIT:
+      log(
+        `The ${event.character} was hit, lives left: ${event.lives}`,
+        LOG_LEVELS.INFO
+      );
+      break;
+    case SIM_EVENTS.COLLECTED:
+      log(`Collected a ${event.collectible.type.NAME}.`, LOG_LEVELS.INFO);
+      break;
+    case SIM_EVENTS.POWER_UP_STARTED:
+      log(`Power-up ${event.powerUp} started.`, LOG_LEVELS.INFO);
+      break;
+    case SIM_EVENTS.POWER_UP_ENDED:
+      log(`Power-up ${event.powerUp} ended.`, LOG_LEVELS.INFO);
+      break;
+    case SIM_EVENTS.SPEED_CHANGED:
+      log(`Game speed increased to ${event.speed}px/s`, LOG_LEVELS.INFO);
+      break;
+    case SIM_EVENTS.CRASHED:
+      log(`Collision detected for the ${event.character}.`, LOG_LEVELS.INFO);
+      break;
+    case SIM_EVENTS.FINISHED:
+      log('Course finished.', LOG_LEVELS.INFO);
+      break;
+  }
+};
+
+// ----------------------------------------
+// Telemetry
+// ----------------------------------------
+
+// Where the run is, added to every event reported during it
+const getRunPosition = (sim) => ({
+  tick: sim.tick,
+  distance: Math.round(sim.distanceRan),
+  speed: Math.round(sim.currentSpeed),
+  score: sim.score,
+});
+
+// Only runs played here are reported, not replays of them
+const reportEvent = (type, data = {}) => {
+  if (!state.replay) {
+    telemetry.emit(type, { ...getRunPosition(state.sim), ...data });
+  }
+};
+
+const startRunTelemetry = () => {
+  const { DIFFICULTY, COURSE } = state.sim.config;
+  telemetry.setContext({
+    runId: createTelemetryId(),
+    mode: state.mode,
+    difficulty: DIFFICULTY || null,
+    course: COURSE ? COURSE.NAME : null,
+  });
+  reportEvent(TELEMETRY_EVENTS.RUN_STARTED, {
+    seed: state.sim.seed,
+    isPractice: state.isPractice,
+  });
+};
+
+// `outcome` is 'crashed', 'finished' or 'abandoned'
+const reportRunEnded = (outcome) => {
+  reportEvent(TELEMETRY_EVENTS.RUN_ENDED, {
+    outcome,
+    obstaclesCleared: state.sim.obstaclesCleared,
+    duration: Math.round(state.sim.time),
+  });
+  telemetry.flush();
+};
+
+// What was hit, by whom and where, for finding where players die
+const getCollisionDetails = (sim, { character, obstacle }) => ({
+  character,
+  cause: obstacle.type.NAME,
+  obstacleX: Math.round(obstacle.x),
+  playerY: Math.round(sim.playerY),
+  orionY: Math.round(sim.orionY),
+  biome: getBiomeAt(sim.config, sim.distanceRan, getFirstBiome(sim)).NAME,
+});
+
+const reportSimulationEvent = (event) => {
+  const { sim } = state;
+  switch (event.type) {
+    case SIM_EVENTS.JUMP:
+      reportEvent(TELEMETRY_EVENTS.JUMP, {
+        character: CHARACTERS.PLAYER,
+        isDoubleJump: event.isDoubleJump,
+      });
+      break;
+    // Orion's own jumps are the AI's, not a player's
+    case SIM_EVENTS.ORION_JUMP:
+      if (sim.config.ORION.PLAYER_CONTROLLED) {
+        reportEvent(TELEMETRY_EVENTS.JUMP, { character: CHARACTERS.ORION });
+      }
+      break;
+    case SIM_EVENTS.OBSTACLE_CLEARED:
+      reportEvent(TELEMETRY_EVENTS.OBSTACLE_CLEARED, {
+        obstacle: event.obstacle.type.NAME,
+      });
+      break;
+    case SIM_EVENTS.SPEED_CHANGED:
+      reportEvent(TELEMETRY_EVENTS.SPEED_CHANGED, { speed: event.speed });
+      break;
+    case SIM_EVENTS.HIT:
+      reportEvent(TELEMETRY_EVENTS.HIT, {
+        ...getCollisionDetails(sim, event),
+        lives: event.lives,
+      });
+      break;
+    case SIM_EVENTS.CRASHED:
+      reportEvent(TELEMETRY_EVENTS.CRASHED, getCollisionDetails(sim, event));
+      break;
+  }
+};
+
+const setUpTelemetry = () => {
+  const sink = createSinkFromParam(
+    new URLSearchParams(window.location.search).get(TELEMETRY_PARAM)
+  );
+  if (sink) {
+    telemetry.addSink(sink);
+    log(
+      `Telemetry reported to ${sink.endpoint || 'the console'}.`,
+      LOG_LEVELS.INFO
+    );
+  }
+};
+
+const SIMULATION_EVENT_SOUNDS = {
+  [SIM_EVENTS.JUMP]: SOUNDS.JUMP,
+  [SIM_EVENTS.WHISTLE]: SOUNDS.WHISTLE,
+  [SIM_EVENTS.ORION_JUMP]: SOUNDS.ORION_JUMP,
+  [SIM_EVENTS.HIT]: SOUNDS.HIT,
+  [SIM_EVENTS.OBSTACLE_CLEARED]: SOUNDS.OBSTACLE_CLEARED,
+  [SIM_EVENTS.COLLECTED]: SOUNDS.COLLECT,
+  [SIM_EVENTS.POWER_UP_STARTED]: SOUNDS.POWER_UP,
+  [SIM_EVENTS.SPEED_CHANGED]: SOUNDS.SPEED_UP,
+  [SIM_EVENTS.CRASHED]: SOUNDS.CRASH,
+  [SIM_EVENTS.FINISHED]: SOUNDS.FINISH,
+};
+
+const playSimulationSound = (event) => {
+  const sound = SIMULATION_EVENT_SOUNDS[event.type];
+  if (sound) {
+    audio.play(sound);
+  }
+};
+
 class GameLoopClass {
   constructor() {
     this.accumulatedTime = 0;
     this.lastTime = performance.now();
     this.animationFrameId = null;
-    this.FIXED_TIME_STEP = 1000 / CONFIG.FPS;
-    this.MAX_FRAME_SKIP = CONFIG.GAME_LOOP.MAX_FRAME_SKIP;
+    this.pendingActions = [];
+    // Set from the debug overlay. A frozen loop only steps on request; the
+    // time scale slows play down without changing the fixed step.
+    this.isFrozen = false;
+    this.requestedSteps = 0;
+    this.timeScale = 1;
+    // `droppedFrames` counts frames that hit MAX_FRAME_SKIP and let the
+    // simulation fall behind
+    this.stats = { fps: 0, stepsPerFrame: 0, droppedFrames: 0 };
+    this.fpsFrames = 0;
+    this.fpsSince = this.lastTime;
+  }
+
+  // The loop's timing comes from the config, which is built during startup
+  init(config) {
+    this.FIXED_TIME_STEP = 1000 / config.FPS;
+    this.MAX_FRAME_SKIP = config.GAME_LOOP.MAX_FRAME_SKIP;
     this.EMPIRICAL_ADJUSTMENT_FACTOR =
-      CONFIG.GAME_LOOP.EMPIRICAL_ADJUSTMENT_FACTOR;
+      config.GAME_LOOP.EMPIRICAL_ADJUSTMENT_FACTOR;
   }
 
   start() {
@@ -585,7 +1680,40 @@ class GameLoopClass {
     log('Game loop canceled.', LOG_LEVELS.INFO);
   }
 
+  // Keeps polling gamepads between runs and while paused, without stepping
+  idle() {
+    cancelAnimationFrame(this.animationFrameId);
+    this.animationFrameId = requestAnimationFrame(this.update.bind(this));
+  }
+
+  // Player actions are applied at the start of the next fixed step. Actions
+  // queued just before a pause are kept so replays see the same steps.
+  queueAction(action) {
+    this.pendingActions.push(action);
+  }
+
+  clearActions() {
+    this.pendingActions = [];
+  }
+
+  requestStep() {
+    this.requestedSteps++;
+  }
+
+  countFrame(currentTime) {
+    this.fpsFrames++;
+    if (currentTime - this.fpsSince >= 1000) {
+      this.stats.fps = Math.round(
+        (this.fpsFrames * 1000) / (currentTime - this.fpsSince)
+      );
+      this.fpsFrames = 0;
+      this.fpsSince = currentTime;
+    }
+  }
+
   update(currentTime) {
+    input.pollGamepads();
+    this.countFrame(currentTime);
     if (state.gameState !== GAME_STATES.PLAYING) {
       this.animationFrameId = requestAnimationFrame(this.update.bind(this));
       return;
@@ -593,13 +1721,19 @@ class GameLoopClass {
 
     const deltaTime = currentTime - this.lastTime;
     this.lastTime = currentTime;
-    this.accumulatedTime += deltaTime;
+    if (this.isFrozen) {
+      this.accumulatedTime = this.requestedSteps * this.FIXED_TIME_STEP;
+      this.requestedSteps = 0;
+    } else {
+      this.accumulatedTime += deltaTime * this.timeScale;
+    }
 
     let frameSkip = 0;
 
     while (
       this.accumulatedTime >= this.FIXED_TIME_STEP &&
-      frameSkip < this.MAX_FRAME_SKIP
+      frameSkip < this.MAX_FRAME_SKIP &&
+      !isRunOver(state.sim)
     ) {
       this.updateGameObjects(this.FIXED_TIME_STEP / 1000);
       this.accumulatedTime -= this.FIXED_TIME_STEP;
@@ -608,13 +1742,13 @@ class GameLoopClass {
 
     if (frameSkip === this.MAX_FRAME_SKIP) {
       this.accumulatedTime = 0;
+      this.stats.droppedFrames++;
     }
+    this.stats.stepsPerFrame = frameSkip;
 
-    this.updateScore(currentTime);
-    this.checkAndIncreaseSpeed(currentTime);
     this.updateVisuals();
 
-    if (checkCollision()) {
+    if (isRunOver(state.sim)) {
       endGame();
       return;
     }
@@ -623,196 +1757,129 @@ class GameLoopClass {
   }
 
   updateGameObjects(deltaTime) {
-    this.updateObstaclePosition(deltaTime);
-    this.updatePlayerPosition();
-    this.updateOrionPosition();
-  }
-
-  updateObstaclePosition(deltaTime) {
-    state.obstacleX -= state.currentSpeed * deltaTime;
-    if (state.obstacleX <= -CONFIG.OBSTACLE.WIDTH) {
-      state.obstacleX = CONFIG.GAME.CONTAINER_WIDTH;
-      state.score += CONFIG.SCORING.OBSTACLE_BONUS;
-      UI.updateScoreDisplay(state.score);
+    const actions = state.replay
+      ? state.replay.actionsAt(state.sim.tick, state.sim)
+      : this.pendingActions;
+    this.pendingActions = [];
+    step(state.sim, actions, deltaTime);
+    state.sim.events.forEach(logSimulationEvent);
+    state.sim.events.forEach(playSimulationSound);
+    state.sim.events.forEach(reportSimulationEvent);
+    ghostRecorder.record(state.sim);
+    if (!state.replay) {
+      achievements.update(state.sim);
     }
-
-    const playerCenterY = CONFIG.GAME.GROUND_LEVEL + CONFIG.PLAYER.HEIGHT / 2.5;
-    const obstacleBottom = playerCenterY - CONFIG.OBSTACLE.HEIGHT;
-    elements.obstacle.style.bottom = `${obstacleBottom}px`;
-    elements.obstacle.style.left = `${state.obstacleX}px`;
-  }
-
-  updatePlayerPosition() {
-    if (state.isJumping) {
-      const { jumpY, isJumpFinished } = calculateJumpPosition(
-        state.jumpStartTime,
-        performance.now(),
-        CONFIG.JUMP.DURATION,
-        CONFIG.JUMP.MAX_HEIGHT
-      );
-      state.playerY = jumpY;
-      if (isJumpFinished) {
-        state.isJumping = false;
-        elements.player.classList.remove('jumping');
-        elements.player.classList.add('running');
-      }
-    } else {
-      state.playerY = 0;
-    }
-    elements.player.style.transform = `translateY(-${state.playerY}px)`;
-  }
-
-  updateOrionPosition() {
-    const orionX = CONFIG.ORION.INITIAL_LEFT;
-    const obstacleX = state.obstacleX;
-    const obstacleSpeed = state.currentSpeed;
-
-    // Time for obstacle to collide (if same Y) with Orion
-    const timeToReachOrion = (obstacleX - orionX) / obstacleSpeed;
-    const timeToJumpPeak = CONFIG.JUMP.DURATION / 2 / 1000;
-
-    // If obstacle is approaching Orion, make Orion jump
-    if (!state.orionIsJumping && timeToReachOrion <= timeToJumpPeak) {
-      state.orionIsJumping = true;
-      state.orionJumpStartTime = performance.now();
-    }
-
-    if (state.orionIsJumping) {
-      const { jumpY, isJumpFinished } = calculateJumpPosition(
-        state.orionJumpStartTime,
-        performance.now(),
-        CONFIG.JUMP.DURATION,
-        CONFIG.JUMP.MAX_HEIGHT
-      );
-      state.orionY = jumpY;
-      if (isJumpFinished) {
-        state.orionIsJumping = false;
-      }
-    } else {
-      state.orionY = 0;
-    }
-
-    elements.orion.style.transform = `translateY(-${state.orionY}px)`;
   }
 
-  updateScore(currentTime) {
-    const deltaTime = (currentTime - state.lastFrameTime) / 1000;
-    state.distanceRan += state.currentSpeed * deltaTime;
-    state.score = Math.floor(
-      state.distanceRan * CONFIG.SCORING.POINTS_PER_SECOND
+  updateVisuals() {
+    // Scenery follows the layout config, not the run's, like the renderer
+    const theme = getThemeState(
+      CONFIG,
+      state.sim.distanceRan,
+      getFirstBiome(state.sim)
     );
-    UI.updateScoreDisplay(state.score);
-    state.lastFrameTime = currentTime;
+    renderer.renderTheme(theme);
+    UI.updateThemeColors(theme);
+    this.updateGhost();
+    renderer.render(state.sim);
+    debug.render(state.sim);
+    UI.updateScoreDisplay(state.sim.score);
+    UI.updatePowerUps(state.sim);
+    UI.updateLives(state.sim.lives);
+    UI.updateCourseProgress(state.sim);
   }
 
-  checkAndIncreaseSpeed(currentTime) {
-    if (
-      currentTime - state.lastSpeedIncrementTime >=
-      CONFIG.GAME.SPEED_INCREMENT_INTERVAL
-    ) {
-      state.currentSpeed = Math.min(
-        state.currentSpeed + CONFIG.GAME.SPEED_INCREMENT_AMOUNT,
-        CONFIG.GAME.MAX_SPEED
-      );
-
-      // Dynamically adjust background animation durations
-      // so the sky/ground moves faster in sync with currentSpeed
-      const speedRatio = CONFIG.GAME.STARTING_SPEED / state.currentSpeed;
-
-      // Sky originally moves in 16s, ground in 8s
-      const newSkyDuration =
-        CONFIG.BACKGROUND.INITIAL_DURATION_SKY * speedRatio;
-      const newGroundDuration =
-        CONFIG.BACKGROUND.INITIAL_DURATION_GROUND * speedRatio;
-
-      document.documentElement.style.setProperty(
-        '--sky-move-duration',
-        `${newSkyDuration}s`
-      );
-      document.documentElement.style.setProperty(
-        '--ground-move-duration',
-        `${newGroundDuration}s`
-      );
-
-      state.lastSpeedIncrementTime = currentTime;
-      log(`Game speed increased to ${state.currentSpeed}px/s`, LOG_LEVELS.INFO);
+  updateGhost() {
+    const { sim, ghostTrack } = state;
+    if (!settings.showGhost || !ghostTrack || state.replay) {
+      renderer.renderGhost(null);
+      UI.updateGhostIndicator(null);
+      return;
     }
-  }
-
-  updateVisuals() {
-    // Additional visual updates can be placed here if needed
+    const frame = getGhostFrame(ghostTrack, sim.tick);
+    renderer.renderGhost(frame, sim.distanceRan);
+    UI.updateGhostIndicator(frame.distance - sim.distanceRan);
   }
 }
 
 const GameLoop = new GameLoopClass();
 
-const getAdjustedBoundingBox = (element, reductionFactor) => {
-  const rect = element.getBoundingClientRect();
-  const widthReduction = rect.width * reductionFactor;
-  const heightReduction = rect.height * reductionFactor;
-  return {
-    left: rect.left + widthReduction / 2,
-    top: rect.top + heightReduction / 2,
-    right: rect.right - widthReduction / 2,
-    bottom: rect.bottom - heightReduction / 2,
-    width: rect.width - widthReduction,
-    height: rect.height - heightReduction,
-  };
-};
-
-const checkCollision = () => {
-  if (performance.now() < state.collisionDisabledUntil) {
-    return false;
-  }
-
-  const playerReductionFactor = 0.4;
-  const obstacleReductionFactor = 0.2;
-
-  const playerRect = getAdjustedBoundingBox(
-    elements.player,
-    playerReductionFactor
-  );
-  const obstacleRect = getAdjustedBoundingBox(
-    elements.obstacle,
-    obstacleReductionFactor
-  );
-
-  const collision =
-    playerRect.right > obstacleRect.left &&
-    playerRect.left < obstacleRect.right &&
-    playerRect.bottom > obstacleRect.top &&
-    playerRect.top < obstacleRect.bottom;
-
-  if (collision) {
-    log('Collision detected.', LOG_LEVELS.INFO);
-  }
-
-  return collision;
-};
+const debug = new DebugOverlay(elements, {
+  loop: GameLoop,
+  onConfigChange: (path, value) => handleDebugConfigChange(path, value),
+});
 
 // ----------------------------------------
 // Initialization
 // ----------------------------------------
 
-const assetList = {
-  images: [
-    'assets/player_sprite_sheet.png',
-    'assets/orion_sprite_sheet.png',
-    'assets/obstacle.png',
-    'assets/sky.svg',
-    'assets/ground.svg',
-  ],
-  audio: [],
+const offline = new OfflineService({
+  onUpdateReady: () => elements.updatePrompt.classList.remove('hidden'),
+});
+
+const DAILY_INFO_INTERVAL = 1000; // milliseconds between countdown updates
+
+// ?playtest=<distance> from the editor plays its draft from that far along.
+// Course mode and the draft are picked for this visit only, unless the player
+// changes a setting, which saves them.
+const setUpPlaytest = () => {
+  const start = new URLSearchParams(window.location.search).get(PLAYTEST_PARAM);
+  if (start === null) {
+    return;
+  }
+  const course = loadCourseDraft(BASE_CONFIG);
+  if (!course) {
+    log('No course draft to test play.', LOG_LEVELS.WARN);
+    return;
+  }
+  addCourse(course);
+  playtest = { name: course.name, start: Math.max(Number(start) || 0, 0) };
+  settings.mode = GAME_MODES.COURSE;
+  settings.course = course.name;
+  log(`Test playing ${course.name} from ${playtest.start}.`, LOG_LEVELS.INFO);
 };
 
 const initializeGame = async () => {
   try {
-    await preloadAssets(assetList);
-    await preloadJumpSprite();
+    spriteManifest = await loadSpriteManifest();
+    applySpriteVariables(spriteManifest);
+    await preloadAssets({
+      ...ASSET_LIST,
+      images: [...getSpriteImages(spriteManifest), ...ASSET_LIST.images],
+    });
+    BASE_CONFIG = createBaseConfig(getViewport(settings.fixedResolution));
+    hitMasks = createHitMasks(BASE_CONFIG, (src) => getAsset('images', src));
+    BASE_CONFIG = { ...BASE_CONFIG, HIT_MASKS: hitMasks };
+    courses = await loadCourses(BASE_CONFIG);
+    setUpPlaytest();
+    setUpTelemetry();
+    CONFIG = createRunConfig();
+    state.reset();
+    GameLoop.init(CONFIG);
     initDOMElements();
+    layout = new LayoutService(elements.gameContainer, cssVars, {
+      isFixed: settings.fixedResolution,
+      onChangeStart: handleLayoutChangeStart,
+      onChange: handleLayoutChange,
+    });
+    layout.init();
+    rendererName = getRendererName();
+    renderer = new RENDERERS[rendererName](elements, BASE_CONFIG, (src) =>
+      getAsset('images', src)
+    );
     setupEventListeners();
-    setupGameVisuals(assetList);
+    setupGameVisuals(ASSET_LIST);
+    renderer.init();
+    debug.init(BASE_CONFIG);
+    log(`Using the ${rendererName} renderer.`, LOG_LEVELS.INFO);
+    UI.updateSettingsControls();
+    UI.updateControls();
     UI.updateInitial();
+    UI.updateDailyInfo();
+    UI.updateCourseInfo();
+    setInterval(UI.updateDailyInfo, DAILY_INFO_INTERVAL);
+    GameLoop.idle();
+    offline.init();
     log('Game initialized successfully.', LOG_LEVELS.INFO);
   } catch (error) {
     logError(error);
@@ -822,4 +1889,14 @@ const initializeGame = async () => {
 document.addEventListener('DOMContentLoaded', initializeGame);
 
 // Export if needed
-export { CONFIG, GAME_STATES, elements, state, UI, initializeGame, GameLoop };
+export {
+  CONFIG,
+  GAME_STATES,
+  elements,
+  state,
+  UI,
+  initializeGame,
+  GameLoop,
+  telemetry,
+  telemetryBuffer,
+};
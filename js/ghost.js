@@ -0,0 +1,103 @@
+// js/ghost.js
+//
+// Ghost runner of the personal best. Each run records the distance ran and
+// the player's height on every fixed step, plus the steps on which the player
+// jumped; the track of the best run is kept next to the high score and
+// replayed beside the player.
+
+import { LOG_LEVELS } from './constants.js';
+import { log, logError } from './logger.js';
+import { SIM_EVENTS } from './simulation.js';
+
+// Each difficulty has its own best run, stored under this prefix
+const GHOST_STORAGE_KEY = 'highScoreGhost';
+const LEGACY_GHOST_DIFFICULTY = 'normal';
+// Version 2 stores heights, since jumps no longer share a single arc
+const GHOST_VERSION = 2;
+
+export class GhostRecorder {
+  constructor() {
+    this.track = null;
+  }
+
+  start(config) {
+    this.track = {
+      version: GHOST_VERSION,
+      score: 0,
+      stepDuration: 1000 / config.FPS, // milliseconds
+      jumpDuration: config.JUMP.DURATION,
+      distances: [],
+      heights: [],
+      jumps: [],
+    };
+  }
+
+  // Called once per fixed step, after the simulation has advanced
+  record(sim) {
+    if (!this.track) {
+      return;
+    }
+    this.track.distances.push(Math.round(sim.distanceRan));
+    this.track.heights.push(Math.round(sim.playerY));
+    if (sim.events.some((event) => event.type === SIM_EVENTS.JUMP)) {
+      this.track.jumps.push(sim.tick);
+    }
+  }
+
+  finish(sim) {
+    const track = this.track;
+    if (track) {
+      track.score = sim.score;
+      this.track = null;
+    }
+    return track;
+  }
+}
+
+/**
+ * Where the ghost is on step `tick`: its distance, its height above the
+ * ground and whether its run has already ended.
+ */
+export const getGhostFrame = (track, tick) => {
+  const { distances, heights, jumps, stepDuration } = track;
+  const finished = tick > distances.length;
+  const index = Math.min(tick, distances.length) - 1;
+  const distance = distances[index] || 0;
+  const y = finished ? 0 : heights[index] || 0;
+
+  let jumpProgress = 0;
+  const jumpTick = jumps.findLast((jump) => jump <= tick);
+  if (y > 0 && jumpTick !== undefined) {
+    jumpProgress = ((tick - jumpTick) * stepDuration) / track.jumpDuration;
+  }
+
+  return { distance, y, isJumping: y > 0, jumpProgress, finished };
+};
+
+export const saveGhostTrack = (track, difficulty) => {
+  try {
+    localStorage.setItem(
+      `${GHOST_STORAGE_KEY}:${difficulty}`,
+      JSON.stringify(track)
+    );
+    log(`Ghost track saved for score ${track.score}`, LOG_LEVELS.INFO);
+  } catch (error) {
+    logError(error);
+  }
+};
+
+export const loadGhostTrack = (difficulty) => {
+  try {
+    // Tracks saved before difficulties existed were run on Normal
+    const stored =
+      localStorage.getItem(`${GHOST_STORAGE_KEY}:${difficulty}`) ??
+      (difficulty === LEGACY_GHOST_DIFFICULTY
+        ? localStorage.getItem(GHOST_STORAGE_KEY)
+        : null);
+    const track = JSON.parse(stored);
+    return track && track.version === GHOST_VERSION ? track : null;
+  } catch (error) {
+    logError(error);
+    return null;
+  }
+};
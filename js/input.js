@@ -0,0 +1,204 @@
+// js/input.js
+//
+// Maps keyboard keys and gamepad buttons to commands. Game commands share
+// their names with ACTIONS; game.js decides what each one means in the
+// current game state, e.g. JUMP starts a run from the start dialog.
+// ORION_JUMP is player two's jump in Two Players mode; in the other modes it
+// jumps for player one.
+
+import { ACTIONS, LOG_LEVELS } from './constants.js';
+import { log } from './logger.js';
+
+export const COMMANDS = {
+  JUMP: ACTIONS.JUMP,
+  DUCK: ACTIONS.DUCK,
+  WHISTLE: ACTIONS.WHISTLE,
+  ORION_JUMP: ACTIONS.ORION_JUMP,
+  PAUSE: ACTIONS.PAUSE,
+  TOGGLE_GHOST: 'TOGGLE_GHOST',
+  TOGGLE_MUTE: 'TOGGLE_MUTE',
+  TOGGLE_DEBUG: 'TOGGLE_DEBUG',
+};
+
+// KeyboardEvent.code values, so bindings follow key position, not layout
+export const DEFAULT_KEY_BINDINGS = {
+  [COMMANDS.JUMP]: ['Space'],
+  [COMMANDS.DUCK]: ['ArrowDown'],
+  [COMMANDS.WHISTLE]: ['KeyW'],
+  [COMMANDS.ORION_JUMP]: ['ArrowUp'],
+  [COMMANDS.PAUSE]: ['KeyP'],
+  [COMMANDS.TOGGLE_GHOST]: ['KeyG'],
+  [COMMANDS.TOGGLE_MUTE]: ['KeyM'],
+  [COMMANDS.TOGGLE_DEBUG]: ['Backquote'],
+};
+
+// Button indices of the standard gamepad mapping
+const GAMEPAD_BUTTONS = {
+  [COMMANDS.JUMP]: [0], // A
+  [COMMANDS.DUCK]: [1, 13], // B, D-pad down
+  [COMMANDS.WHISTLE]: [2], // X
+  [COMMANDS.ORION_JUMP]: [3], // Y
+  [COMMANDS.PAUSE]: [9], // Start
+};
+
+// In Two Players mode, gamepads after the first are player two's
+const PLAYER_TWO_GAMEPAD_BUTTONS = {
+  [COMMANDS.ORION_JUMP]: [0, 12], // A, D-pad up
+  [COMMANDS.PAUSE]: [9], // Start
+};
+
+// Pressing this while waiting for a new binding cancels the rebind
+const CANCEL_KEY = 'Escape';
+
+const KEY_LABELS = {
+  Space: 'Space Bar',
+  ArrowUp: 'Up Arrow',
+  ArrowDown: 'Down Arrow',
+  ArrowLeft: 'Left Arrow',
+  ArrowRight: 'Right Arrow',
+  Backquote: '`',
+};
+
+export const formatKey = (code) =>
+  KEY_LABELS[code] || code.replace(/^(Key|Digit|Numpad)/, '');
+
+/**
+ * Returns bindings with an entry for every command, falling back to the
+ * defaults for commands that are missing or malformed. A command that falls
+ * back takes its default keys from other commands that still have a key of
+ * their own, e.g. ORION_JUMP takes Up Arrow from JUMP in bindings saved
+ * before it existed.
+ */
+export const sanitizeKeyBindings = (bindings = {}) => {
+  const defaulted = [];
+  const sanitized = Object.fromEntries(
+    Object.values(COMMANDS).map((command) => {
+      const codes = bindings[command];
+      const isValid =
+        Array.isArray(codes) &&
+        codes.length > 0 &&
+        codes.every((code) => typeof code === 'string');
+      if (!isValid) {
+        defaulted.push(command);
+      }
+      return [command, isValid ? codes : [...DEFAULT_KEY_BINDINGS[command]]];
+    })
+  );
+  defaulted.forEach((command) =>
+    Object.keys(sanitized).forEach((other) => {
+      const remaining = sanitized[other].filter(
+        (code) => !DEFAULT_KEY_BINDINGS[command].includes(code)
+      );
+      if (other !== command && remaining.length > 0) {
+        sanitized[other] = remaining;
+      }
+    })
+  );
+  return sanitized;
+};
+
+export class InputManager {
+  // `bindings` maps each command to its key codes. It is updated in place,
+  // so the caller can persist it after a rebind. `onPress` and `onRelease`
+  // receive a command.
+  constructor(bindings, { onPress, onRelease }) {
+    this.bindings = bindings;
+    this.onPress = onPress;
+    this.onRelease = onRelease;
+    this.capturingCommand = null;
+    this.gamepadButtons = {}; // previous pressed state per gamepad
+    this.isTwoPlayer = false;
+  }
+
+  // Hands gamepads after the first to player two
+  setTwoPlayer(isTwoPlayer) {
+    this.isTwoPlayer = isTwoPlayer;
+  }
+
+  getCommandForKey(code) {
+    return (
+      Object.keys(this.bindings).find((command) =>
+        this.bindings[command].includes(code)
+      ) || null
+    );
+  }
+
+  formatBinding(command) {
+    return this.bindings[command].map(formatKey).join(' / ');
+  }
+
+  // The next key press becomes the only key bound to `command`
+  startCapture(command) {
+    this.capturingCommand = command;
+  }
+
+  get isCapturing() {
+    return this.capturingCommand !== null;
+  }
+
+  cancelCapture() {
+    this.capturingCommand = null;
+  }
+
+  // Returns true if the binding changed
+  capture(code) {
+    const command = this.capturingCommand;
+    this.cancelCapture();
+    if (!command || code === CANCEL_KEY) {
+      return false;
+    }
+    // Taking another command's only key swaps the two commands' keys
+    const other = this.getCommandForKey(code);
+    if (other && other !== command) {
+      const remaining = this.bindings[other].filter((bound) => bound !== code);
+      this.bindings[other] =
+        remaining.length > 0 ? remaining : this.bindings[command];
+    }
+    this.bindings[command] = [code];
+    log(`${command} bound to ${formatKey(code)}.`, LOG_LEVELS.INFO);
+    return true;
+  }
+
+  resetBindings() {
+    Object.assign(this.bindings, sanitizeKeyBindings());
+    log('Key bindings reset to defaults.', LOG_LEVELS.INFO);
+  }
+
+  hasGamepad() {
+    return this.getGamepads().length > 0;
+  }
+
+  getGamepads() {
+    if (typeof navigator === 'undefined' || !navigator.getGamepads) {
+      return [];
+    }
+    return [...navigator.getGamepads()].filter(Boolean);
+  }
+
+  /**
+   * Reads every connected gamepad and reports buttons that went down or up
+   * since the last poll. The Gamepad API has no button events, so this is
+   * called once per animation frame.
+   */
+  pollGamepads() {
+    this.getGamepads().forEach((gamepad, position) => {
+      const previous = this.gamepadButtons[gamepad.index] || {};
+      const current = {};
+      const buttons =
+        this.isTwoPlayer && position > 0
+          ? PLAYER_TWO_GAMEPAD_BUTTONS
+          : GAMEPAD_BUTTONS;
+      Object.entries(buttons).forEach(([command, indices]) => {
+        current[command] = indices.some(
+          (index) => gamepad.buttons[index] && gamepad.buttons[index].pressed
+        );
+        if (current[command] && !previous[command]) {
+          this.onPress(command);
+        } else if (!current[command] && previous[command]) {
+          this.onRelease(command);
+        }
+      });
+      this.gamepadButtons[gamepad.index] = current;
+    });
+  }
+}
@@ -0,0 +1,110 @@
+// js/layout.js
+//
+// Keeps the game fitted to the window. Size changes are reported once the
+// window has settled, so a phone rotation or a window drag causes a single
+// relayout. With a fixed logical resolution the game is always laid out at
+// the same size and scaled to fit, with bars filling the rest of the window.
+
+import { CSS_VARIABLES, parseCSSValue } from './config.js';
+import { LOG_LEVELS } from './constants.js';
+import { log } from './logger.js';
+
+export const LOGICAL_RESOLUTION = { width: 1600, height: 900 };
+
+const SETTLE_DELAY = 250; // milliseconds without resize events
+
+const isViewportUnit = (value) => /v[wh]$/.test(value);
+
+/**
+ * The size the game is laid out at: the window, or the logical resolution
+ * when `isFixed` is set.
+ */
+export const getViewport = (isFixed) =>
+  isFixed
+    ? { ...LOGICAL_RESOLUTION }
+    : { width: window.innerWidth, height: window.innerHeight };
+
+export class LayoutService {
+  // `onChangeStart` is called when the window starts changing size and
+  // `onChange(viewport)` once it has settled
+  constructor(container, cssVars, { isFixed, onChangeStart, onChange }) {
+    this.container = container;
+    this.cssVars = cssVars;
+    this.isFixed = isFixed;
+    this.onChangeStart = onChangeStart;
+    this.onChange = onChange;
+    this.viewport = getViewport(isFixed);
+    this.settleTimer = null;
+    this.handleResize = this.handleResize.bind(this);
+  }
+
+  init() {
+    window.addEventListener('resize', this.handleResize);
+    window.addEventListener('orientationchange', this.handleResize);
+    this.applyStyles();
+    log(
+      `Layout ${this.viewport.width}x${this.viewport.height}${this.isFixed ? ' (fixed)' : ''}.`,
+      LOG_LEVELS.INFO
+    );
+  }
+
+  setFixed(isFixed) {
+    this.isFixed = isFixed;
+    this.handleResize();
+  }
+
+  handleResize() {
+    if (this.settleTimer === null) {
+      this.onChangeStart();
+    }
+    clearTimeout(this.settleTimer);
+    this.settleTimer = setTimeout(() => {
+      this.settleTimer = null;
+      this.viewport = getViewport(this.isFixed);
+      this.applyStyles();
+      log(
+        `Layout changed to ${this.viewport.width}x${this.viewport.height}.`,
+        LOG_LEVELS.INFO
+      );
+      this.onChange(this.viewport);
+    }, SETTLE_DELAY);
+  }
+
+  // vw and vh in the stylesheet are relative to the window, so inside the
+  // container they are replaced with pixels for the laid out viewport
+  applyStyles() {
+    const { container, viewport } = this;
+    Object.entries(CSS_VARIABLES).forEach(([key, name]) => {
+      const value = this.cssVars[key];
+      if (isViewportUnit(value)) {
+        container.style.setProperty(
+          name,
+          `${parseCSSValue(value, viewport)}px`
+        );
+      }
+    });
+
+    document.body.classList.toggle('letterboxed', this.isFixed);
+    if (!this.isFixed) {
+      Object.assign(container.style, {
+        width: '',
+        height: '',
+        left: '',
+        top: '',
+        transform: '',
+      });
+      return;
+    }
+    const scale = Math.min(
+      window.innerWidth / viewport.width,
+      window.innerHeight / viewport.height
+    );
+    Object.assign(container.style, {
+      width: `${viewport.width}px`,
+      height: `${viewport.height}px`,
+      left: `${(window.innerWidth - viewport.width * scale) / 2}px`,
+      top: `${(window.innerHeight - viewport.height * scale) / 2}px`,
+      transform: `scale(${scale})`,
+    });
+  }
+}
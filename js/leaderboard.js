@@ -0,0 +1,202 @@
+// js/leaderboard.js
+//
+// Local top-10 leaderboards, one per difficulty. The stored data carries a
+// schema version so older formats, starting with the single `highScore`
+// integer, can be migrated.
+
+import { LOG_LEVELS } from './constants.js';
+import { log, logError } from './logger.js';
+
+const LEADERBOARD_STORAGE_KEY = 'leaderboard';
+const LEGACY_HIGH_SCORE_STORAGE_KEY = 'highScore';
+
+export const LEADERBOARD_VERSION = 2;
+export const MAX_ENTRIES = 10; // per difficulty
+
+// Runs from before difficulties existed were played on Normal
+const DEFAULT_DIFFICULTY = 'normal';
+
+const ENTRY_FIELDS = {
+  difficulty: 'string',
+  initials: 'string',
+  score: 'number',
+  date: 'string',
+  distance: 'number',
+  obstaclesCleared: 'number',
+  topSpeed: 'number',
+};
+
+const createLeaderboardData = (entries = []) => ({
+  version: LEADERBOARD_VERSION,
+  entries,
+});
+
+// Versions before 1 only stored the best score, without any run details
+const migrateLegacyHighScore = (highScore) =>
+  createLeaderboardData(
+    highScore > 0
+      ? [
+          {
+            difficulty: DEFAULT_DIFFICULTY,
+            initials: '---',
+            score: highScore,
+            date: new Date(0).toISOString(),
+            distance: 0,
+            obstaclesCleared: 0,
+            topSpeed: 0,
+          },
+        ]
+      : []
+  );
+
+// Upgrades stored data one version at a time; add a case per new version
+const migrate = (data) => {
+  switch (data.version) {
+    case 1:
+      return migrate({
+        version: 2,
+        entries: data.entries.map((entry) => ({
+          ...entry,
+          difficulty: DEFAULT_DIFFICULTY,
+        })),
+      });
+    case LEADERBOARD_VERSION:
+      return data;
+    default:
+      throw new Error(`Unsupported leaderboard version: ${data.version}`);
+  }
+};
+
+const isValidEntry = (entry) =>
+  Boolean(entry) &&
+  Object.entries(ENTRY_FIELDS).every(
+    ([field, type]) => typeof entry[field] === type
+  );
+
+// Best score first; ties go to the older run
+const compareEntries = (a, b) =>
+  b.score - a.score || a.date.localeCompare(b.date);
+
+// Keeps the best MAX_ENTRIES of each difficulty
+const sortAndTrim = (entries) => {
+  const counts = {};
+  return [...entries].sort(compareEntries).filter((entry) => {
+    counts[entry.difficulty] = (counts[entry.difficulty] || 0) + 1;
+    return counts[entry.difficulty] <= MAX_ENTRIES;
+  });
+};
+
+export const formatInitials = (value) =>
+  String(value)
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, '')
+    .slice(0, 3);
+
+/**
+ * Parses leaderboard JSON from storage or an imported file, migrating older
+ * versions and dropping malformed entries. Throws on unreadable data.
+ */
+export const parseLeaderboard = (json) => {
+  const data = migrate(JSON.parse(json));
+  if (!Array.isArray(data.entries)) {
+    throw new Error('Leaderboard file has no entries.');
+  }
+  return createLeaderboardData(sortAndTrim(data.entries.filter(isValidEntry)));
+};
+
+export class Leaderboard {
+  constructor() {
+    this.entries = [];
+  }
+
+  load() {
+    try {
+      const stored = localStorage.getItem(LEADERBOARD_STORAGE_KEY);
+      if (stored) {
+        this.entries = parseLeaderboard(stored).entries;
+      } else {
+        const legacy = parseInt(
+          localStorage.getItem(LEGACY_HIGH_SCORE_STORAGE_KEY),
+          10
+        );
+        this.entries = migrateLegacyHighScore(
+          isNaN(legacy) ? 0 : legacy
+        ).entries;
+        this.save();
+        localStorage.removeItem(LEGACY_HIGH_SCORE_STORAGE_KEY);
+        log('Leaderboard migrated from the high score.', LOG_LEVELS.INFO);
+      }
+    } catch (error) {
+      logError(error);
+      this.entries = [];
+    }
+    return this;
+  }
+
+  save() {
+    try {
+      localStorage.setItem(
+        LEADERBOARD_STORAGE_KEY,
+        JSON.stringify(this.toJSON())
+      );
+    } catch (error) {
+      logError(error);
+    }
+  }
+
+  getEntries(difficulty) {
+    return this.entries.filter((entry) => entry.difficulty === difficulty);
+  }
+
+  getHighScore(difficulty) {
+    const [best] = this.getEntries(difficulty);
+    return best ? best.score : 0;
+  }
+
+  /**
+   * Adds a finished run and saves the board. Returns the entry's index within
+   * its difficulty, or -1 if it did not make the top 10.
+   */
+  add(entry) {
+    this.entries = sortAndTrim([...this.entries, entry]);
+    this.save();
+    const index = this.getEntries(entry.difficulty).indexOf(entry);
+    log(
+      index === -1
+        ? `Score ${entry.score} did not make the leaderboard.`
+        : `Score ${entry.score} entered the leaderboard at #${index + 1}.`,
+      LOG_LEVELS.INFO
+    );
+    return index;
+  }
+
+  // Imported entries are merged with the current ones, skipping duplicates
+  import(json) {
+    const { entries } = parseLeaderboard(json);
+    const key = (entry) =>
+      `${entry.difficulty}|${entry.date}|${entry.score}|${entry.initials}`;
+    const known = new Set(this.entries.map(key));
+    const added = entries.filter((entry) => !known.has(key(entry)));
+    this.entries = sortAndTrim([...this.entries, ...added]);
+    this.save();
+    log(`Imported ${added.length} leaderboard entries.`, LOG_LEVELS.INFO);
+    return added.length;
+  }
+
+  toJSON() {
+    return createLeaderboardData(this.entries);
+  }
+}
+
+/**
+ * Builds the leaderboard entry for a finished simulation run.
+ */
+export const createEntry = (sim, initials) => ({
+  difficulty: sim.config.DIFFICULTY,
+  initials: initials || '---',
+  score: sim.score,
+  date: new Date().toISOString(),
+  distance: Math.round(sim.distanceRan),
+  obstaclesCleared: sim.obstaclesCleared,
+  topSpeed: sim.baseSpeed,
+});
@@ -0,0 +1,13 @@
+// js/logger.js
+
+import { LOG_LEVELS } from './constants.js';
+
+export const log = (message, level = LOG_LEVELS.INFO) => {
+  const timestamp = new Date().toISOString();
+  const logMethod = console[level] || console.log;
+  logMethod(`[${timestamp}] ${level.toUpperCase()}: ${message}`);
+};
+
+export const logError = (error) => {
+  log(`Error: ${error.message}`, LOG_LEVELS.ERROR);
+};
@@ -0,0 +1,79 @@
+// js/offline.js
+//
+// Registers the service worker that caches the game for offline play, and
+// reports when a new version has been downloaded so the player can choose
+// when to switch to it.
+
+import { LOG_LEVELS } from './constants.js';
+import { log, logError } from './logger.js';
+
+// Relative to the page, so the worker's scope is the game's directory
+const SERVICE_WORKER_URL = 'sw.js';
+
+// Tells a waiting service worker to take over; see sw.js
+const SKIP_WAITING_MESSAGE = 'SKIP_WAITING';
+
+export class OfflineService {
+  // `onUpdateReady` is called once a new version is waiting to be applied
+  constructor({ onUpdateReady }) {
+    this.onUpdateReady = onUpdateReady;
+    this.registration = null;
+    this.isUpdating = false;
+  }
+
+  async init() {
+    if (!('serviceWorker' in navigator)) {
+      log(
+        'Service workers are not supported; no offline play.',
+        LOG_LEVELS.WARN
+      );
+      return;
+    }
+    try {
+      // The worker imports the asset list from js/assets.js
+      this.registration = await navigator.serviceWorker.register(
+        SERVICE_WORKER_URL,
+        { type: 'module' }
+      );
+      this.watchForUpdates();
+      log('Service worker registered.', LOG_LEVELS.INFO);
+    } catch (error) {
+      logError(error);
+    }
+  }
+
+  watchForUpdates() {
+    const { registration } = this;
+    // Without a controlling worker, an installed one is the first install
+    // rather than an update
+    const isUpdate = () => Boolean(navigator.serviceWorker.controller);
+
+    // Downloaded on an earlier visit and still waiting
+    if (registration.waiting && isUpdate()) {
+      this.onUpdateReady();
+    }
+    registration.addEventListener('updatefound', () => {
+      const worker = registration.installing;
+      worker.addEventListener('statechange', () => {
+        if (worker.state === 'installed' && isUpdate()) {
+          log('A new version is ready.', LOG_LEVELS.INFO);
+          this.onUpdateReady();
+        }
+      });
+    });
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      if (this.isUpdating) {
+        window.location.reload();
+      }
+    });
+  }
+
+  // Switches to the waiting version; the page reloads once it has taken over
+  applyUpdate() {
+    const worker = this.registration && this.registration.waiting;
+    if (worker) {
+      this.isUpdating = true;
+      worker.postMessage(SKIP_WAITING_MESSAGE);
+    }
+  }
+}
@@ -0,0 +1,80 @@
+// js/records.js
+//
+// Small versioned records kept in localStorage, such as the best scores of
+// the Daily Run and Course mode. Stored data is only used if its version and
+// shape are what the game expects; anything else falls back to the defaults.
+
+import { LOG_LEVELS } from './constants.js';
+import { log, logError } from './logger.js';
+
+export const isScore = (value) => Number.isFinite(value) && value >= 0;
+
+const isPlainObject = (value) =>
+  typeof value === 'object' && value !== null && !Array.isArray(value);
+
+/**
+ * Returns the record stored under `key` over `defaults`, or `defaults` if
+ * there is none, it has another version or `isValid(stored)` is false.
+ */
+export const loadRecord = (key, defaults, isValid) => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(key));
+    if (!isPlainObject(stored) || stored.version !== defaults.version) {
+      return defaults;
+    }
+    if (!isValid(stored)) {
+      log(`Ignoring malformed ${key} in storage.`, LOG_LEVELS.WARN);
+      return defaults;
+    }
+    return { ...defaults, ...stored };
+  } catch (error) {
+    logError(error);
+    return defaults;
+  }
+};
+
+export const saveRecord = (key, record) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(record));
+  } catch (error) {
+    logError(error);
+  }
+};
+
+const hasValidBests = (records) =>
+  isPlainObject(records.bests) && Object.values(records.bests).every(isScore);
+
+// Best scores by name, e.g. of each course. `label` describes them in the log.
+export class BestScores {
+  constructor(storageKey, version, label) {
+    this.storageKey = storageKey;
+    this.label = label;
+    this.records = { version, bests: {} };
+  }
+
+  load() {
+    this.records = loadRecord(this.storageKey, this.records, hasValidBests);
+    return this;
+  }
+
+  save() {
+    saveRecord(this.storageKey, this.records);
+  }
+
+  getBest(name) {
+    return Object.hasOwn(this.records.bests, name)
+      ? this.records.bests[name]
+      : 0;
+  }
+
+  // Returns true if `score` is the new best for `name`
+  recordScore(name, score) {
+    if (score <= this.getBest(name)) {
+      return false;
+    }
+    this.records.bests[name] = score;
+    this.save();
+    log(`New ${this.label} best on ${name}: ${score}`, LOG_LEVELS.INFO);
+    return true;
+  }
+}
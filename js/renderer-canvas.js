@@ -0,0 +1,362 @@
+// js/renderer-canvas.js
+
+import { LOG_LEVELS } from './constants.js';
+import { log } from './logger.js';
+import {
+  PLAYER_POSES,
+  POWER_UP_TYPES,
+  getAnchoredBox,
+  getCollectibleBox,
+  getFinishLineX,
+  getJumpFrame,
+  getObstacleBox,
+  getOrionBox,
+  getPlayerBox,
+  getPlayerFrame,
+  getPlayerPose,
+  getRunFrame,
+  isPowerUpActive,
+  isRecovering,
+} from './simulation.js';
+import { ANIMATIONS } from './sprites.js';
+import { getObstacleSprite, getThemeColors, getThemeState } from './themes.js';
+
+const MAX_PIXEL_RATIO = 2;
+const BLINK_INTERVAL = 100; // milliseconds per blink after losing a life
+
+// Matches .finish-line in css/game-styles.css: two columns of squares, half
+// the container high
+const FINISH_LINE_SQUARE = 10;
+const FINISH_LINE_COLUMNS = 2;
+
+/**
+ * Draws a simulation state onto #game-canvas. Sprite frames and background
+ * scrolling are derived from the simulation clock and distance, so they
+ * advance with the game loop instead of with CSS animations.
+ */
+export class CanvasRenderer {
+  constructor(elements, config, getImage) {
+    this.elements = elements;
+    this.config = config;
+    this.getImage = getImage;
+    this.canvas = null;
+    this.context = null;
+    this.lastState = null;
+    this.isIdle = true;
+    this.ghostFrame = null;
+    this.ghostLiveDistance = 0;
+    this.theme = getThemeState(config, 0);
+  }
+
+  init() {
+    this.canvas = this.elements.canvas;
+    this.context = this.canvas.getContext('2d');
+    this.elements.gameContainer.classList.add('canvas-renderer');
+    this.resize();
+    this.reset();
+    log('Canvas renderer initialized.', LOG_LEVELS.INFO);
+  }
+
+  resize(config = this.config) {
+    this.config = config;
+    const { CONTAINER_WIDTH, CONTAINER_HEIGHT } = this.config.GAME;
+    const pixelRatio = Math.min(window.devicePixelRatio || 1, MAX_PIXEL_RATIO);
+    this.canvas.width = Math.round(CONTAINER_WIDTH * pixelRatio);
+    this.canvas.height = Math.round(CONTAINER_HEIGHT * pixelRatio);
+    this.canvas.style.width = `${CONTAINER_WIDTH}px`;
+    this.canvas.style.height = `${CONTAINER_HEIGHT}px`;
+    this.context.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+    // Resizing clears the canvas
+    this.draw(this.lastState);
+  }
+
+  reset() {
+    this.lastState = null;
+    this.isIdle = true;
+    this.ghostFrame = null;
+    this.theme = getThemeState(this.config, 0);
+    this.draw(null);
+  }
+
+  clearPose() {
+    this.isIdle = true;
+    this.draw(this.lastState);
+  }
+
+  // Frames only advance while the simulation does, so nothing to pause here
+  setRunning() {}
+
+  render(state) {
+    this.isIdle = false;
+    this.lastState = state;
+    this.draw(state);
+  }
+
+  // Stored and drawn with the next render, like the ghost
+  renderTheme(theme) {
+    this.theme = theme;
+  }
+
+  // Stored and drawn with the next render so the ghost stays under the player
+  renderGhost(frame, liveDistance = 0) {
+    this.ghostFrame = frame;
+    this.ghostLiveDistance = liveDistance;
+  }
+
+  draw(state) {
+    const { CONTAINER_WIDTH, CONTAINER_HEIGHT } = this.config.GAME;
+    const idleState = { config: this.config, playerY: 0, orionY: 0 };
+    const distance = state ? state.distanceRan : 0;
+
+    const isBlinking =
+      state &&
+      isRecovering(state) &&
+      Math.floor(state.time / BLINK_INTERVAL) % 2 === 1;
+
+    this.context.clearRect(0, 0, CONTAINER_WIDTH, CONTAINER_HEIGHT);
+    this.drawBackground(distance);
+    if (state) {
+      this.drawFinishLine(getFinishLineX(state));
+    }
+    this.context.globalAlpha = isBlinking ? 0.4 : 1;
+    this.drawOrion(state || idleState);
+    this.context.globalAlpha = 1;
+    if (state) {
+      state.obstacles.forEach((obstacle) =>
+        this.drawItem(
+          getObstacleSprite(this.config, state, obstacle),
+          getObstacleBox(state.config, obstacle)
+        )
+      );
+      state.collectibles.forEach((collectible) =>
+        this.drawItem(
+          collectible.type.SPRITE,
+          getCollectibleBox(state.config, collectible)
+        )
+      );
+    }
+    this.drawGhost();
+    this.context.globalAlpha = isBlinking ? 0.4 : 1;
+    this.drawPlayer(state || idleState);
+    this.context.globalAlpha = 1;
+    if (state && isPowerUpActive(state, POWER_UP_TYPES.SHIELD)) {
+      this.drawShield(getPlayerBox(state));
+    }
+    this.drawNightTint();
+  }
+
+  toCanvasY(box) {
+    return this.config.GAME.CONTAINER_HEIGHT - box.bottom - box.height;
+  }
+
+  // The frame collisions are tested against, or the first while idle
+  getRunFrame(name) {
+    if (this.isIdle || !this.lastState) {
+      return 0;
+    }
+    return getRunFrame(this.lastState, name);
+  }
+
+  // `name` is one of ANIMATIONS; frames are placed by the sprite manifest
+  drawSpriteFrame(name, frameIndex, box) {
+    const animation = this.config.SPRITES[name];
+    const image = this.getImage(animation.image);
+    if (!image) {
+      return;
+    }
+    const frame = animation.frames[frameIndex];
+    this.context.drawImage(
+      image,
+      frame.x,
+      frame.y,
+      frame.width,
+      frame.height,
+      box.left,
+      this.toCanvasY(box),
+      box.width,
+      box.height
+    );
+  }
+
+  // Mirrors the CSS parallax: one tile per INITIAL_DURATION at starting speed
+  drawScrollingLayer(src, offset, top, height) {
+    const image = this.getImage(src);
+    if (!image) {
+      return;
+    }
+    const width = this.config.GAME.CONTAINER_WIDTH;
+    const x = -(offset % width);
+    this.context.drawImage(image, x, top, width, height);
+    this.context.drawImage(image, x + width, top, width, height);
+  }
+
+  drawBackground(distance) {
+    const { blend, biome, nextBiome } = this.theme;
+    this.drawBiome(biome, distance);
+    if (blend > 0) {
+      this.context.globalAlpha = blend;
+      this.drawBiome(nextBiome, distance);
+      this.context.globalAlpha = 1;
+    }
+  }
+
+  drawBiome(biome, distance) {
+    const { GAME, BACKGROUND } = this.config;
+    const tileDistance = (duration) =>
+      (distance * GAME.CONTAINER_WIDTH) / (duration * GAME.STARTING_SPEED);
+
+    this.drawScrollingLayer(
+      biome.SKY,
+      tileDistance(BACKGROUND.INITIAL_DURATION_SKY),
+      0,
+      GAME.CONTAINER_HEIGHT - GAME.GROUND_LEVEL
+    );
+    this.drawScrollingLayer(
+      biome.GROUND,
+      tileDistance(BACKGROUND.INITIAL_DURATION_GROUND),
+      GAME.CONTAINER_HEIGHT - GAME.GROUND_LEVEL * 3,
+      GAME.GROUND_LEVEL * 3
+    );
+  }
+
+  drawFinishLine(x) {
+    const { CONTAINER_WIDTH, CONTAINER_HEIGHT, GROUND_LEVEL } =
+      this.config.GAME;
+    if (x === null || x > CONTAINER_WIDTH) {
+      return;
+    }
+    const { context } = this;
+    const rows = Math.ceil(CONTAINER_HEIGHT / 2 / FINISH_LINE_SQUARE);
+    const bottom = CONTAINER_HEIGHT - GROUND_LEVEL;
+    context.save();
+    for (let row = 0; row < rows; row++) {
+      for (let column = 0; column < FINISH_LINE_COLUMNS; column++) {
+        context.fillStyle = (row + column) % 2 ? '#fff' : '#000';
+        context.fillRect(
+          x + column * FINISH_LINE_SQUARE,
+          bottom - (row + 1) * FINISH_LINE_SQUARE,
+          FINISH_LINE_SQUARE,
+          FINISH_LINE_SQUARE
+        );
+      }
+    }
+    context.restore();
+  }
+
+  drawNightTint() {
+    const { nightTint } = this.theme;
+    if (nightTint <= 0) {
+      return;
+    }
+    const { context } = this;
+    const { CONTAINER_WIDTH, CONTAINER_HEIGHT } = this.config.GAME;
+    context.save();
+    context.globalAlpha = nightTint;
+    context.fillStyle = getThemeColors(this.theme)['--night-tint-color'];
+    context.fillRect(0, 0, CONTAINER_WIDTH, CONTAINER_HEIGHT);
+    context.restore();
+  }
+
+  drawOrion(state) {
+    this.drawSpriteFrame(
+      ANIMATIONS.ORION,
+      this.getRunFrame(ANIMATIONS.ORION),
+      getOrionBox(state)
+    );
+  }
+
+  // Obstacles and collectibles are single images
+  drawItem(src, box) {
+    const image = this.getImage(src);
+    if (!image) {
+      return;
+    }
+    this.context.drawImage(
+      image,
+      box.left,
+      this.toCanvasY(box),
+      box.width,
+      box.height
+    );
+  }
+
+  drawJumpFrame(progress, box) {
+    this.drawSpriteFrame(
+      ANIMATIONS.PLAYER_JUMP,
+      getJumpFrame(this.config, progress),
+      box
+    );
+  }
+
+  drawPlayer(state) {
+    const box = getPlayerBox(state);
+
+    if (!this.isIdle && getPlayerPose(state) === PLAYER_POSES.JUMPING) {
+      this.drawSpriteFrame(ANIMATIONS.PLAYER_JUMP, getPlayerFrame(state), box);
+      return;
+    }
+    this.drawSpriteFrame(
+      ANIMATIONS.PLAYER_RUN,
+      this.getRunFrame(ANIMATIONS.PLAYER_RUN),
+      box
+    );
+  }
+
+  drawShield(box) {
+    const { context } = this;
+    context.save();
+    context.strokeStyle = 'rgba(52, 152, 219, 0.8)';
+    context.fillStyle = 'rgba(52, 152, 219, 0.15)';
+    context.lineWidth = 4;
+    context.beginPath();
+    context.ellipse(
+      box.left + box.width / 2,
+      this.toCanvasY(box) + box.height / 2,
+      box.width * 0.6,
+      box.height * 0.55,
+      0,
+      0,
+      Math.PI * 2
+    );
+    context.fill();
+    context.stroke();
+    context.restore();
+  }
+
+  drawGhost() {
+    const frame = this.ghostFrame;
+    if (!frame) {
+      return;
+    }
+
+    const { PLAYER, GAME } = this.config;
+    const left = PLAYER.INITIAL_LEFT + frame.distance - this.ghostLiveDistance;
+    const bottom = GAME.GROUND_LEVEL + frame.y;
+    if (left < -PLAYER.JUMP_WIDTH) {
+      return;
+    }
+
+    this.context.save();
+    this.context.globalAlpha = 0.35;
+    this.context.filter = 'grayscale(1)';
+    if (frame.isJumping) {
+      this.drawJumpFrame(
+        frame.jumpProgress,
+        getAnchoredBox(
+          left,
+          bottom,
+          PLAYER.JUMP_WIDTH,
+          PLAYER.JUMP_HEIGHT,
+          PLAYER.JUMP_ANCHOR
+        )
+      );
+    } else {
+      this.drawSpriteFrame(
+        ANIMATIONS.PLAYER_RUN,
+        frame.finished ? 0 : this.getRunFrame(ANIMATIONS.PLAYER_RUN),
+        getAnchoredBox(left, bottom, PLAYER.WIDTH, PLAYER.HEIGHT, PLAYER.ANCHOR)
+      );
+    }
+    this.context.restore();
+  }
+}
@@ -0,0 +1,332 @@
+// js/renderer-dom.js
+
+import { LOG_LEVELS } from './constants.js';
+import { log } from './logger.js';
+import {
+  PLAYER_POSES,
+  POWER_UP_TYPES,
+  getCollectibleBox,
+  getFinishLineX,
+  getObstacleBottom,
+  getPlayerFrame,
+  getPlayerPose,
+  getRunFrame,
+  isPowerUpActive,
+  isRecovering,
+} from './simulation.js';
+import { ANIMATIONS } from './sprites.js';
+import { getObstacleSprite, getThemeState } from './themes.js';
+
+const BLINK_INTERVAL = 100; // milliseconds per blink after losing a life
+
+/**
+ * Elements cloned from a template in the markup and lent out by simulation
+ * id, so nothing is created or removed from the document during a run. A
+ * course can place more items on screen than the pool holds; it then grows
+ * to fit them.
+ */
+class ElementPool {
+  constructor(template, size) {
+    this.template = template;
+    this.name = template.id;
+    this.elements = [template];
+    for (let i = 1; i < size; i++) {
+      this.addElement();
+    }
+    this.available = [];
+    this.inUse = new Map();
+    this.reset();
+  }
+
+  addElement() {
+    const { template } = this;
+    const element = template.cloneNode(true);
+    element.id = `${template.id}-${this.elements.length}`;
+    element.style.display = 'none';
+    template.parentNode.appendChild(element);
+    this.elements.push(element);
+    return element;
+  }
+
+  reset() {
+    this.inUse.clear();
+    this.available = [...this.elements];
+    this.elements.forEach((element) => {
+      element.style.display = 'none';
+    });
+  }
+
+  // Shows one element per item at its x; `setUp` styles newly lent elements
+  render(items, setUp) {
+    const activeIds = new Set(items.map((item) => item.id));
+    this.inUse.forEach((element, id) => {
+      if (!activeIds.has(id)) {
+        element.style.display = 'none';
+        this.available.push(element);
+        this.inUse.delete(id);
+      }
+    });
+
+    items.forEach((item) => {
+      let element = this.inUse.get(item.id);
+      if (!element) {
+        element = this.available.pop();
+        if (!element) {
+          element = this.addElement();
+          log(
+            `${this.name} pool grown to ${this.elements.length}.`,
+            LOG_LEVELS.INFO
+          );
+        }
+        setUp(element, item);
+        element.style.display = 'block';
+        this.inUse.set(item.id, element);
+      }
+      element.style.left = `${item.x}px`;
+    });
+  }
+}
+
+/**
+ * Draws a simulation state with the absolutely positioned elements from
+ * index.html and css/game-styles.css. The characters show the sprite frame
+ * the simulation tests collisions against; the ghost uses CSS animations.
+ */
+export class DOMRenderer {
+  constructor(elements, config, getImage) {
+    this.elements = elements;
+    this.config = config;
+    this.getImage = getImage;
+    this.obstaclePool = null;
+    this.collectiblePool = null;
+    this.playerPose = null;
+    this.ghostPose = null;
+    this.renderedSpeed = config.GAME.STARTING_SPEED;
+    this.themeProperties = {}; // CSS custom property -> value last set
+  }
+
+  // The #obstacle and #collectible elements from the markup are the templates
+  // for their pools
+  init() {
+    const { OBSTACLE, COLLECTIBLE } = this.config;
+    this.obstaclePool = new ElementPool(
+      this.elements.obstacle,
+      OBSTACLE.POOL_SIZE
+    );
+    this.collectiblePool = new ElementPool(
+      this.elements.collectible,
+      COLLECTIBLE.POOL_SIZE
+    );
+    this.reset();
+    log(
+      `Pools of ${OBSTACLE.POOL_SIZE} obstacles and ${COLLECTIBLE.POOL_SIZE} collectibles created.`,
+      LOG_LEVELS.INFO
+    );
+  }
+
+  reset() {
+    this.obstaclePool.reset();
+    this.collectiblePool.reset();
+    this.clearPose();
+    this.renderGhost(null);
+    this.elements.player.style.transform = 'translateY(0)';
+    this.elements.orion.style.transform = 'translateY(0)';
+    this.elements.player.style.opacity = '';
+    this.elements.orion.style.opacity = '';
+    this.elements.player.classList.remove('shielded');
+    this.elements.finishLine.style.display = 'none';
+    this.setBackgroundSpeed(this.config.GAME.STARTING_SPEED);
+    this.renderTheme(getThemeState(this.config, 0));
+  }
+
+  // Positions come from CSS and the simulation, so only the config is kept
+  resize(config) {
+    this.config = config;
+  }
+
+  clearPose() {
+    Object.values(PLAYER_POSES).forEach((pose) =>
+      this.elements.player.classList.remove(pose)
+    );
+    this.elements.player.style.backgroundPosition = '';
+    this.elements.orion.style.backgroundPosition = '';
+    this.playerPose = null;
+  }
+
+  setRunning(isRunning) {
+    this.elements.ghost.style.animationPlayState = isRunning
+      ? 'running'
+      : 'paused';
+    this.elements.gameContainer.classList.toggle('parallax', isRunning);
+  }
+
+  render(state) {
+    // Only apply vertical translation
+    this.elements.player.style.transform = `translateY(-${state.playerY}px)`;
+    this.elements.orion.style.transform = `translateY(-${state.orionY}px)`;
+
+    const opacity =
+      isRecovering(state) && Math.floor(state.time / BLINK_INTERVAL) % 2
+        ? '0.4'
+        : '';
+    this.elements.player.style.opacity = opacity;
+    this.elements.orion.style.opacity = opacity;
+
+    const pose = getPlayerPose(state);
+    if (pose !== this.playerPose) {
+      if (this.playerPose) {
+        this.elements.player.classList.remove(this.playerPose);
+      }
+      this.elements.player.classList.add(pose);
+      this.playerPose = pose;
+    }
+    this.showFrame(
+      this.elements.player,
+      pose === PLAYER_POSES.JUMPING
+        ? ANIMATIONS.PLAYER_JUMP
+        : ANIMATIONS.PLAYER_RUN,
+      getPlayerFrame(state)
+    );
+    this.showFrame(
+      this.elements.orion,
+      ANIMATIONS.ORION,
+      getRunFrame(state, ANIMATIONS.ORION)
+    );
+
+    this.elements.player.classList.toggle(
+      'shielded',
+      isPowerUpActive(state, POWER_UP_TYPES.SHIELD)
+    );
+
+    // Placement depends on the run's config, which difficulty settings and
+    // replays can change
+    this.obstaclePool.render(state.obstacles, (element, obstacle) =>
+      this.setUpPooledElement(
+        element,
+        obstacle.type,
+        getObstacleBottom(state.config, obstacle.type),
+        getObstacleSprite(this.config, state, obstacle)
+      )
+    );
+    this.collectiblePool.render(state.collectibles, (element, collectible) =>
+      this.setUpPooledElement(
+        element,
+        collectible.type,
+        getCollectibleBox(state.config, collectible).bottom
+      )
+    );
+
+    this.renderFinishLine(state);
+
+    if (state.currentSpeed !== this.renderedSpeed) {
+      this.setBackgroundSpeed(state.currentSpeed);
+    }
+  }
+
+  // Shown once a course's finish line scrolls into view
+  renderFinishLine(state) {
+    const { finishLine } = this.elements;
+    const x = getFinishLineX(state);
+    if (x === null || x > this.config.GAME.CONTAINER_WIDTH) {
+      finishLine.style.display = 'none';
+      return;
+    }
+    finishLine.style.display = 'block';
+    finishLine.style.left = `${x}px`;
+  }
+
+  // Moves the element's sprite sheet to a frame from the sprite manifest
+  showFrame(element, name, frameIndex) {
+    const { x, y } = this.config.SPRITES[name].frames[frameIndex];
+    element.style.backgroundPosition = `-${x}px -${y}px`;
+  }
+
+  /**
+   * Draws the personal-best ghost `distance - liveDistance` pixels ahead of
+   * the player, or hides it when `frame` is null or it has scrolled away.
+   */
+  renderGhost(frame, liveDistance = 0) {
+    const { ghost } = this.elements;
+    const left =
+      frame && this.config.PLAYER.INITIAL_LEFT + frame.distance - liveDistance;
+    if (!frame || left < -this.config.PLAYER.JUMP_WIDTH) {
+      ghost.style.display = 'none';
+      return;
+    }
+
+    ghost.style.display = 'block';
+    const { ANCHOR, JUMP_ANCHOR } = this.config.PLAYER;
+    ghost.style.left = `${left - (frame.isJumping ? JUMP_ANCHOR : ANCHOR).X}px`;
+    ghost.style.transform = `translateY(-${frame.y}px)`;
+
+    let pose = null;
+    if (!frame.finished) {
+      pose = frame.isJumping ? PLAYER_POSES.JUMPING : PLAYER_POSES.RUNNING;
+    }
+    if (pose !== this.ghostPose) {
+      if (this.ghostPose) {
+        ghost.classList.remove(this.ghostPose);
+      }
+      if (pose) {
+        ghost.classList.add(pose);
+      }
+      this.ghostPose = pose;
+    }
+  }
+
+  // Scenery is drawn by CSS from custom properties; only changes are applied
+  renderTheme(theme) {
+    const properties = {
+      '--sky-image': this.getImageURL(theme.biome.SKY),
+      '--ground-image': this.getImageURL(theme.biome.GROUND),
+      '--sky-next-image': this.getImageURL(theme.nextBiome.SKY),
+      '--ground-next-image': this.getImageURL(theme.nextBiome.GROUND),
+      '--biome-blend': theme.blend.toFixed(3),
+      '--night-tint': theme.nightTint.toFixed(3),
+    };
+    Object.entries(properties).forEach(([name, value]) => {
+      if (this.themeProperties[name] !== value) {
+        document.documentElement.style.setProperty(name, value);
+        this.themeProperties[name] = value;
+      }
+    });
+  }
+
+  // Preloaded images have absolute URLs, which custom properties need
+  getImageURL(src) {
+    const image = this.getImage(src);
+    return image ? `url("${image.src}")` : 'none';
+  }
+
+  setUpPooledElement(element, type, bottom, sprite = type.SPRITE) {
+    const image = this.getImage(sprite);
+    if (image) {
+      element.style.backgroundImage = `url(${image.src})`;
+    }
+    element.dataset.type = type.NAME;
+    element.style.width = `${type.WIDTH}px`;
+    element.style.height = `${type.HEIGHT}px`;
+    element.style.bottom = `${bottom}px`;
+  }
+
+  // Dynamically adjust background animation durations
+  // so the sky/ground moves faster in sync with currentSpeed
+  setBackgroundSpeed(speed) {
+    const { GAME, BACKGROUND } = this.config;
+    const speedRatio = GAME.STARTING_SPEED / speed;
+
+    // Sky originally moves in 16s, ground in 8s
+    const newSkyDuration = BACKGROUND.INITIAL_DURATION_SKY * speedRatio;
+    const newGroundDuration = BACKGROUND.INITIAL_DURATION_GROUND * speedRatio;
+
+    document.documentElement.style.setProperty(
+      '--sky-move-duration',
+      `${newSkyDuration}s`
+    );
+    document.documentElement.style.setProperty(
+      '--ground-move-duration',
+      `${newGroundDuration}s`
+    );
+    this.renderedSpeed = speed;
+  }
+}
@@ -0,0 +1,142 @@
+// js/replay.js
+//
+// Records the seed, configuration and player actions of a run so it can be
+// played back deterministically, on screen or headless to verify a score.
+
+import { ACTIONS } from './constants.js';
+import {
+  createSimulationState,
+  isRunOver,
+  resizeSimulation,
+  step,
+} from './simulation.js';
+
+// Bumped whenever simulation rules change how a recorded run plays out:
+// 2 added Orion's collisions and mistakes, 3 collectibles and power-ups,
+// 4 collisions against the sprites' hit masks and boxes placed by the
+// anchors in the sprite manifest
+export const REPLAY_VERSION = 4;
+
+// Only these actions change the simulation; the rest are kept for context
+export const SIMULATED_ACTIONS = [
+  ACTIONS.JUMP,
+  ACTIONS.JUMP_RELEASE,
+  ACTIONS.DUCK,
+  ACTIONS.WHISTLE,
+  ACTIONS.ORION_JUMP,
+];
+
+export class ReplayRecorder {
+  constructor() {
+    this.recording = null;
+  }
+
+  start(seed, config) {
+    this.recording = {
+      version: REPLAY_VERSION,
+      recordedAt: new Date().toISOString(),
+      seed,
+      config: structuredClone(config),
+      actions: [],
+      finalTick: null,
+      finalScore: null,
+    };
+  }
+
+  // `tick` is the number of fixed steps completed when the action arrived
+  record(tick, action) {
+    if (this.recording) {
+      this.recording.actions.push({ tick, action });
+    }
+  }
+
+  // The config changed mid-run, when the window was resized or a debug slider
+  // moved; playback has to follow the same changes
+  recordResize(tick, config) {
+    if (this.recording) {
+      this.recording.actions.push({
+        tick,
+        action: ACTIONS.RESIZE,
+        config: structuredClone(config),
+      });
+    }
+  }
+
+  finish(sim) {
+    const recording = this.recording;
+    if (recording) {
+      recording.finalTick = sim.tick;
+      recording.finalScore = sim.score;
+      this.recording = null;
+    }
+    return recording;
+  }
+}
+
+export class ReplayPlayer {
+  constructor(recording) {
+    this.recording = recording;
+    this.cursor = 0;
+  }
+
+  // Returns the simulated actions to apply on the step after `tick`.
+  // Recorded resizes are applied to `sim` as they are reached.
+  actionsAt(tick, sim) {
+    const actions = [];
+    const recorded = this.recording.actions;
+    while (
+      this.cursor < recorded.length &&
+      recorded[this.cursor].tick <= tick
+    ) {
+      const { action, config } = recorded[this.cursor++];
+      if (action === ACTIONS.RESIZE) {
+        resizeSimulation(sim, config);
+      } else if (SIMULATED_ACTIONS.includes(action)) {
+        actions.push(action);
+      }
+    }
+    return actions;
+  }
+}
+
+export const parseRecording = (json) => {
+  const recording = JSON.parse(json);
+  if (recording.version !== REPLAY_VERSION) {
+    throw new Error(`Unsupported replay version: ${recording.version}`);
+  }
+  if (
+    !Number.isInteger(recording.seed) ||
+    typeof recording.config !== 'object' ||
+    !Array.isArray(recording.actions)
+  ) {
+    throw new Error('Replay file is missing its seed, config or actions.');
+  }
+  return recording;
+};
+
+export const simulateRecording = (recording) => {
+  const sim = createSimulationState(recording.config, {
+    seed: recording.seed,
+  });
+  const player = new ReplayPlayer(recording);
+  const dt = 1 / recording.config.FPS;
+
+  while (!isRunOver(sim) && sim.tick < recording.finalTick) {
+    step(sim, player.actionsAt(sim.tick, sim), dt);
+  }
+  return sim;
+};
+
+/**
+ * Re-runs a recording headless and checks that it ends on the claimed tick
+ * with the claimed score.
+ */
+export const verifyRecording = (recording) => {
+  const sim = simulateRecording(recording);
+  return {
+    valid:
+      sim.tick === recording.finalTick && sim.score === recording.finalScore,
+    score: sim.score,
+    tick: sim.tick,
+  };
+};
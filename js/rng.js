@@ -0,0 +1,21 @@
+// js/rng.js
+//
+// Seedable pseudo-random number generator (mulberry32). Every random decision
+// in the simulation goes through one of these so runs can be reproduced.
+
+export const createSeed = () => Math.floor(Math.random() * 2 ** 32);
+
+/**
+ * Returns a function yielding floats in [0, 1), like Math.random, whose
+ * sequence is fully determined by the 32-bit `seed`.
+ */
+export const createRandom = (seed) => {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
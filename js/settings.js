@@ -0,0 +1,160 @@
+// js/settings.js
+//
+// Player preferences and difficulty presets, persisted together under one
+// versioned localStorage key.
+
+import { GAME_MODES } from './constants.js';
+import { logError } from './logger.js';
+import { sanitizeKeyBindings } from './input.js';
+
+const SETTINGS_STORAGE_KEY = 'settings';
+const SETTINGS_VERSION = 1;
+
+export const DIFFICULTIES = {
+  EASY: 'easy',
+  NORMAL: 'normal',
+  HARD: 'hard',
+  CUSTOM: 'custom',
+};
+
+// JUMP_HEIGHT is a percentage of the height set in CSS
+export const DIFFICULTY_PRESETS = {
+  [DIFFICULTIES.EASY]: {
+    STARTING_SPEED: 320,
+    MAX_SPEED: 640,
+    SPEED_INCREMENT_INTERVAL: 7000,
+    SPEED_INCREMENT_AMOUNT: 15,
+    JUMP_HEIGHT: 110,
+    DOUBLE_JUMP: true,
+    LIVES: 3,
+  },
+  [DIFFICULTIES.NORMAL]: {
+    STARTING_SPEED: 400,
+    MAX_SPEED: 800,
+    SPEED_INCREMENT_INTERVAL: 5000,
+    SPEED_INCREMENT_AMOUNT: 20,
+    JUMP_HEIGHT: 100,
+    DOUBLE_JUMP: false,
+    LIVES: 1,
+  },
+  [DIFFICULTIES.HARD]: {
+    STARTING_SPEED: 480,
+    MAX_SPEED: 960,
+    SPEED_INCREMENT_INTERVAL: 4000,
+    SPEED_INCREMENT_AMOUNT: 30,
+    JUMP_HEIGHT: 95,
+    DOUBLE_JUMP: false,
+    LIVES: 1,
+  },
+};
+
+// Allowed ranges for the Custom preset's numeric values
+export const CUSTOM_LIMITS = {
+  STARTING_SPEED: { MIN: 200, MAX: 1000 },
+  MAX_SPEED: { MIN: 200, MAX: 1500 },
+  SPEED_INCREMENT_INTERVAL: { MIN: 1000, MAX: 30000 },
+  SPEED_INCREMENT_AMOUNT: { MIN: 0, MAX: 100 },
+  JUMP_HEIGHT: { MIN: 50, MAX: 150 },
+  LIVES: { MIN: 1, MAX: 9 },
+};
+
+export const DEFAULT_SETTINGS = {
+  version: SETTINGS_VERSION,
+  mode: GAME_MODES.ENDLESS,
+  course: null, // name of the course Course mode plays, see js/course.js
+  difficulty: DIFFICULTIES.NORMAL,
+  custom: { ...DIFFICULTY_PRESETS[DIFFICULTIES.NORMAL] },
+  audio: { master: 0.8, music: 0.4, sfx: 0.7, muted: false },
+  showGhost: true,
+  renderer: 'dom',
+  fixedResolution: false,
+  initials: '',
+  controls: sanitizeKeyBindings(),
+};
+
+const clamp = (value, { MIN, MAX }, fallback) => {
+  const number = Number(value);
+  return Number.isFinite(number)
+    ? Math.min(Math.max(number, MIN), MAX)
+    : fallback;
+};
+
+/**
+ * Returns a Custom preset with every value present and within CUSTOM_LIMITS.
+ * MAX_SPEED is raised to STARTING_SPEED if it was set below it, which gives a
+ * run that never speeds up.
+ */
+export const sanitizeCustomPreset = (custom = {}) => {
+  const defaults = DIFFICULTY_PRESETS[DIFFICULTIES.NORMAL];
+  const preset = { DOUBLE_JUMP: Boolean(custom.DOUBLE_JUMP) };
+  Object.entries(CUSTOM_LIMITS).forEach(([key, limits]) => {
+    preset[key] = clamp(custom[key], limits, defaults[key]);
+  });
+  preset.LIVES = Math.round(preset.LIVES);
+  preset.MAX_SPEED = Math.max(preset.MAX_SPEED, preset.STARTING_SPEED);
+  return preset;
+};
+
+export const getDifficultyPreset = (settings) =>
+  settings.difficulty === DIFFICULTIES.CUSTOM
+    ? sanitizeCustomPreset(settings.custom)
+    : DIFFICULTY_PRESETS[settings.difficulty];
+
+/**
+ * Returns a copy of `config` with the selected difficulty applied. The base
+ * config is left untouched so the difficulty can be changed again later.
+ */
+export const applyDifficulty = (config, settings) => {
+  const preset = getDifficultyPreset(settings);
+  const difficultyConfig = structuredClone(config);
+  Object.assign(difficultyConfig.GAME, {
+    STARTING_SPEED: preset.STARTING_SPEED,
+    MAX_SPEED: preset.MAX_SPEED,
+    SPEED_INCREMENT_INTERVAL: preset.SPEED_INCREMENT_INTERVAL,
+    SPEED_INCREMENT_AMOUNT: preset.SPEED_INCREMENT_AMOUNT,
+    LIVES: preset.LIVES,
+  });
+  difficultyConfig.JUMP.MAX_HEIGHT =
+    (config.JUMP.MAX_HEIGHT * preset.JUMP_HEIGHT) / 100;
+  difficultyConfig.JUMP.DOUBLE_JUMP = preset.DOUBLE_JUMP;
+  difficultyConfig.DIFFICULTY = settings.difficulty;
+  return difficultyConfig;
+};
+
+const normalizeSettings = (stored) => {
+  const settings = {
+    ...structuredClone(DEFAULT_SETTINGS),
+    ...stored,
+    version: SETTINGS_VERSION,
+  };
+  settings.audio = { ...DEFAULT_SETTINGS.audio, ...stored.audio };
+  settings.custom = sanitizeCustomPreset(stored.custom);
+  settings.controls = sanitizeKeyBindings(stored.controls);
+  if (!Object.values(DIFFICULTIES).includes(settings.difficulty)) {
+    settings.difficulty = DIFFICULTIES.NORMAL;
+  }
+  if (!Object.values(GAME_MODES).includes(settings.mode)) {
+    settings.mode = GAME_MODES.ENDLESS;
+  }
+  return settings;
+};
+
+export const saveSettings = (settings) => {
+  try {
+    localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+  } catch (error) {
+    logError(error);
+  }
+};
+
+export const loadSettings = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY));
+    return stored
+      ? normalizeSettings(stored)
+      : structuredClone(DEFAULT_SETTINGS);
+  } catch (error) {
+    logError(error);
+    return structuredClone(DEFAULT_SETTINGS);
+  }
+};
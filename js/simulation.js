@@ -0,0 +1,931 @@
+// js/simulation.js
+//
+// DOM-free game simulation. The state is plain data and every position is in
+// pixels measured from the left and bottom of the game container, so a run can
+// be stepped from the browser loop or from Node without a document.
+
+import { boxesOverlap, shapesOverlap } from './collision.js';
+import { ACTIONS } from './constants.js';
+import { createRandom, createSeed } from './rng.js';
+import {
+  ANIMATIONS,
+  getAnimationDuration,
+  getAnimationFrame,
+} from './sprites.js';
+
+// ----------------------------------------
+// Constants and Enumerations
+// ----------------------------------------
+
+export const PLAYER_POSES = {
+  RUNNING: 'running',
+  JUMPING: 'jumping',
+  DUCKING: 'ducking',
+};
+
+export const CHARACTERS = {
+  PLAYER: 'player',
+  ORION: 'orion',
+};
+
+// Keys of CONFIG.POWER_UPS
+export const POWER_UP_TYPES = {
+  SLOW_MOTION: 'SLOW_MOTION',
+  SHIELD: 'SHIELD',
+  MULTIPLIER: 'MULTIPLIER',
+};
+
+export const SIM_EVENTS = {
+  JUMP: 'jump',
+  DUCK: 'duck',
+  WHISTLE: 'whistle',
+  ORION_JUMP: 'orionJump',
+  ORION_MISSED: 'orionMissed',
+  OBSTACLE_SPAWNED: 'obstacleSpawned',
+  OBSTACLE_CLEARED: 'obstacleCleared',
+  COLLECTED: 'collected',
+  POWER_UP_STARTED: 'powerUpStarted',
+  POWER_UP_ENDED: 'powerUpEnded',
+  SPEED_CHANGED: 'speedChanged',
+  HIT: 'hit', // a life was lost but the run goes on
+  CRASHED: 'crashed',
+  FINISHED: 'finished', // the finish line of a course was crossed
+};
+
+// ----------------------------------------
+// State
+// ----------------------------------------
+
+// Index of the first of a course's items, sorted by AT, that is not behind
+// `distance`
+const getFirstCourseItem = (items, distance) => {
+  const index = items.findIndex((item) => item.AT >= distance);
+  return index === -1 ? items.length : index;
+};
+
+/**
+ * Speed of the course segment that `distance` falls in. A course's SPEEDS
+ * are sorted by AT and the first starts at 0.
+ */
+export const getCourseSpeed = (course, distance) =>
+  course.SPEEDS.reduce(
+    (speed, segment) => (segment.AT <= distance ? segment.SPEED : speed),
+    course.SPEEDS[0].SPEED
+  );
+
+// Course runs (see js/course.js) may start partway along, for test plays
+// from the editor
+export const createSimulationState = (config, { seed = createSeed() } = {}) => {
+  const { COURSE } = config;
+  const start = COURSE ? COURSE.START : 0;
+  const speed = COURSE
+    ? getCourseSpeed(COURSE, start)
+    : config.GAME.STARTING_SPEED;
+  return {
+    config,
+    seed,
+    random: createRandom(seed),
+    // Orion's mistakes draw from their own stream so the course stays the same
+    orionRandom: createRandom(seed ^ 0x5bd1e995),
+    tick: 0,
+    // Milliseconds of simulated play. This is the clock for every timed system
+    // (jumps, ducks, grace periods, speed-ups, power-ups); it only advances in
+    // step, so it stands still while the game is paused.
+    time: 0,
+    playerY: 0,
+    isJumping: false,
+    jumpStartTime: 0,
+    jumpCount: 0,
+    jumpBaseY: 0, // height the current arc started from, for double jumps
+    jumpHeight: 0,
+    isJumpHeld: false,
+    jumpCutTime: null,
+    jumpCutY: 0,
+    isDucking: false,
+    duckStartTime: 0,
+    orionY: 0,
+    orionIsJumping: false,
+    orionJumpStartTime: 0,
+    orionJumpAt: null, // time of a jump Orion has decided on but not started
+    orionReactedTo: null, // id of the last obstacle Orion decided about
+    obstacles: [],
+    nextObstacleId: 0,
+    distanceToNextObstacle: config.OBSTACLE.FIRST_SPAWN_DELAY,
+    obstaclesCleared: 0,
+    // Indexes of the next course obstacle and collectible to spawn
+    nextCourseObstacle: COURSE
+      ? getFirstCourseItem(COURSE.OBSTACLES, start)
+      : 0,
+    nextCourseCollectible: COURSE
+      ? getFirstCourseItem(COURSE.COLLECTIBLES, start)
+      : 0,
+    collectibles: [], // { id, type, x }
+    nextCollectibleId: 0,
+    distanceToNextCollectible: null, // null when none is due
+    // Power-up name -> sim time it runs out, or null if it lasts until used.
+    // Sim time stands still while the game is paused, and so do these timers.
+    activePowerUps: {},
+    bonusScore: 0,
+    distanceScore: 0,
+    baseSpeed: speed, // speed before power-ups
+    currentSpeed: speed,
+    lastSpeedIncrementTime: 0,
+    distanceRan: start,
+    score: 0,
+    lives: config.GAME.LIVES,
+    collisionDisabledUntil: config.GAME.COLLISION_GRACE_PERIOD,
+    crashed: false,
+    finished: false,
+    events: [],
+  };
+};
+
+const emit = (state, type, data = {}) => {
+  state.events.push({ type, tick: state.tick, time: state.time, ...data });
+};
+
+// ----------------------------------------
+// Geometry
+// ----------------------------------------
+
+export const calculateJumpPosition = (
+  jumpStartTime,
+  currentTime,
+  duration,
+  maxHeight,
+  ceiling = Infinity
+) => {
+  const elapsedTime = currentTime - jumpStartTime;
+  const jumpProgress = Math.min(elapsedTime / duration, 1);
+  const jumpHeight = Math.sin(jumpProgress * Math.PI) * maxHeight;
+
+  return {
+    jumpY: Math.min(jumpHeight, ceiling),
+    jumpProgress,
+    isJumpFinished: jumpProgress === 1,
+  };
+};
+
+// Ensure the player doesn't move beyond the container's top
+const getJumpCeiling = (config) =>
+  config.GAME.CONTAINER_HEIGHT -
+  config.PLAYER.HEIGHT -
+  config.GAME.GROUND_LEVEL;
+
+export const getPlayerPose = (state) => {
+  if (state.isJumping) {
+    return PLAYER_POSES.JUMPING;
+  }
+  if (state.isDucking) {
+    return PLAYER_POSES.DUCKING;
+  }
+  return PLAYER_POSES.RUNNING;
+};
+
+export const getObstacleBottom = (config, type) => {
+  const playerCenterY = config.GAME.GROUND_LEVEL + config.PLAYER.HEIGHT / 2.5;
+  const floor = playerCenterY - config.OBSTACLE.HEIGHT;
+  return floor + type.ELEVATION * config.PLAYER.HEIGHT;
+};
+
+// A sprite's box with its anchor (see js/sprites.js) at `left`, `bottom`
+export const getAnchoredBox = (left, bottom, width, height, anchor) => ({
+  left: left - anchor.X,
+  bottom: bottom - (height - anchor.Y),
+  width,
+  height,
+});
+
+// Mirrors the .player, .player.jumping and .player.ducking rules in CSS
+export const getPlayerBox = (state) => {
+  const { PLAYER, GAME } = state.config;
+  const bottom = GAME.GROUND_LEVEL + state.playerY;
+
+  switch (getPlayerPose(state)) {
+    case PLAYER_POSES.JUMPING:
+      return getAnchoredBox(
+        PLAYER.INITIAL_LEFT,
+        bottom,
+        PLAYER.JUMP_WIDTH,
+        PLAYER.JUMP_HEIGHT,
+        PLAYER.JUMP_ANCHOR
+      );
+    case PLAYER_POSES.DUCKING:
+      // The run cycle squashed down, with its feet where they were
+      return {
+        ...getAnchoredBox(
+          PLAYER.INITIAL_LEFT,
+          bottom,
+          PLAYER.WIDTH,
+          PLAYER.HEIGHT,
+          PLAYER.ANCHOR
+        ),
+        height: PLAYER.DUCK_HEIGHT,
+      };
+    default:
+      return getAnchoredBox(
+        PLAYER.INITIAL_LEFT,
+        bottom,
+        PLAYER.WIDTH,
+        PLAYER.HEIGHT,
+        PLAYER.ANCHOR
+      );
+  }
+};
+
+export const getOrionBox = (state) => {
+  const { ORION, GAME } = state.config;
+  return getAnchoredBox(
+    ORION.INITIAL_LEFT,
+    GAME.GROUND_LEVEL + state.orionY,
+    ORION.WIDTH,
+    ORION.HEIGHT,
+    ORION.ANCHOR
+  );
+};
+
+export const getObstacleBox = (config, obstacle) => ({
+  left: obstacle.x,
+  bottom: getObstacleBottom(config, obstacle.type),
+  width: obstacle.type.WIDTH,
+  height: obstacle.type.HEIGHT,
+});
+
+export const getCollectibleBox = (config, collectible) => ({
+  left: collectible.x,
+  bottom:
+    config.GAME.GROUND_LEVEL +
+    collectible.type.ELEVATION * config.JUMP.MAX_HEIGHT,
+  width: collectible.type.WIDTH,
+  height: collectible.type.HEIGHT,
+});
+
+// Left of a course's finish line, which is crossed when it reaches the
+// player's position, or null outside courses
+export const getFinishLineX = (state) => {
+  const { COURSE, PLAYER } = state.config;
+  return COURSE
+    ? PLAYER.INITIAL_LEFT + COURSE.FINISH - state.distanceRan
+    : null;
+};
+
+export const getAdjustedBox = (box, reductionFactor) => {
+  const widthReduction = box.width * reductionFactor;
+  const heightReduction = box.height * reductionFactor;
+  return {
+    left: box.left + widthReduction / 2,
+    bottom: box.bottom + heightReduction / 2,
+    width: box.width - widthReduction,
+    height: box.height - heightReduction,
+  };
+};
+
+export { boxesOverlap };
+
+// The sprite frames the renderers show, which collisions are tested against.
+// Run cycles loop on the sim clock; `name` is one of ANIMATIONS.
+export const getRunFrame = (state, name) =>
+  getAnimationFrame(state.config.SPRITES[name], state.time);
+
+// The jump animation is stretched over the jump, whatever its duration
+export const getJumpFrame = (config, progress) => {
+  const animation = config.SPRITES[ANIMATIONS.PLAYER_JUMP];
+  return getAnimationFrame(
+    animation,
+    progress * getAnimationDuration(animation),
+    false
+  );
+};
+
+export const getPlayerFrame = (state) =>
+  getPlayerPose(state) === PLAYER_POSES.JUMPING
+    ? getJumpFrame(
+        state.config,
+        (state.time - state.jumpStartTime) / state.config.JUMP.DURATION
+      )
+    : getRunFrame(state, ANIMATIONS.PLAYER_RUN);
+
+/**
+ * Collision shapes are `{ box, mask }` (see js/collision.js). Sprites with a
+ * hit mask use their full box and the mask of the frame showing. Without
+ * one, as in configs recorded before masks existed, the box is reduced by
+ * the sprite's HITBOX_REDUCTION and counts as solid.
+ */
+const getShape = (box, mask, reduction) =>
+  mask ? { box, mask } : { box: getAdjustedBox(box, reduction), mask: null };
+
+export const getPlayerShape = (state) => {
+  const { PLAYER, HIT_MASKS } = state.config;
+  const frames =
+    HIT_MASKS &&
+    (getPlayerPose(state) === PLAYER_POSES.JUMPING
+      ? HIT_MASKS.PLAYER_JUMP
+      : HIT_MASKS.PLAYER_RUN);
+  return getShape(
+    getPlayerBox(state),
+    frames && frames[getPlayerFrame(state)],
+    PLAYER.HITBOX_REDUCTION
+  );
+};
+
+export const getOrionShape = (state) => {
+  const { ORION, HIT_MASKS } = state.config;
+  const frames = HIT_MASKS && HIT_MASKS.ORION;
+  return getShape(
+    getOrionBox(state),
+    frames && frames[getRunFrame(state, ANIMATIONS.ORION)],
+    ORION.HITBOX_REDUCTION
+  );
+};
+
+export const getObstacleShape = (config, obstacle) =>
+  getShape(
+    getObstacleBox(config, obstacle),
+    config.HIT_MASKS && config.HIT_MASKS.OBSTACLES[obstacle.type.NAME],
+    obstacle.type.HITBOX_REDUCTION
+  );
+
+const findObstacleHit = (state, shape) =>
+  state.obstacles.find((obstacle) =>
+    shapesOverlap(shape, getObstacleShape(state.config, obstacle))
+  ) || null;
+
+// Collectibles use their full box, so only the player's hitbox is reduced
+export const findCollected = (state) => {
+  const playerBox = getAdjustedBox(
+    getPlayerBox(state),
+    state.config.PLAYER.HITBOX_REDUCTION
+  );
+  return state.collectibles.filter((collectible) =>
+    boxesOverlap(playerBox, getCollectibleBox(state.config, collectible))
+  );
+};
+
+/**
+ * Returns the first character touching an obstacle as `{ character, obstacle }`,
+ * checking the player before Orion, or null while collisions are disabled.
+ */
+export const findCollision = (state) => {
+  if (state.time < state.collisionDisabledUntil) {
+    return null;
+  }
+
+  const shapes = [
+    [CHARACTERS.PLAYER, getPlayerShape(state)],
+    [CHARACTERS.ORION, getOrionShape(state)],
+  ];
+  for (const [character, shape] of shapes) {
+    const obstacle = findObstacleHit(state, shape);
+    if (obstacle) {
+      return { character, obstacle };
+    }
+  }
+  return null;
+};
+
+export const isPowerUpActive = (state, name) =>
+  Object.hasOwn(state.activePowerUps, name);
+
+// Milliseconds left on a power-up, or null if it lasts until used
+export const getPowerUpTimeLeft = (state, name) => {
+  const expiresAt = state.activePowerUps[name];
+  return expiresAt === null ? null : Math.max(expiresAt - state.time, 0);
+};
+
+// True while a character blinks after losing one of several lives
+export const isRecovering = (state) =>
+  state.lives < state.config.GAME.LIVES &&
+  state.time < state.collisionDisabledUntil;
+
+// True once a run has crashed or crossed the finish line of its course
+export const isRunOver = (state) => state.crashed || state.finished;
+
+// ----------------------------------------
+// Player Actions
+// ----------------------------------------
+
+const startJump = (state) => {
+  const { JUMP } = state.config;
+  const isDoubleJump = state.isJumping;
+  if (isDoubleJump && (!JUMP.DOUBLE_JUMP || state.jumpCount >= 2)) {
+    return;
+  }
+
+  state.isDucking = false;
+  state.isJumping = true;
+  state.isJumpHeld = true;
+  state.jumpCount++;
+  state.jumpStartTime = state.time;
+  state.jumpBaseY = state.playerY;
+  state.jumpHeight = isDoubleJump
+    ? JUMP.MAX_HEIGHT * JUMP.DOUBLE_JUMP_HEIGHT_FACTOR
+    : JUMP.MAX_HEIGHT;
+  state.jumpCutTime = null;
+  emit(state, SIM_EVENTS.JUMP, { isDoubleJump });
+};
+
+const releaseJump = (state) => {
+  state.isJumpHeld = false;
+};
+
+const endJump = (state) => {
+  state.isJumping = false;
+  state.isJumpHeld = false;
+  state.jumpCount = 0;
+  state.jumpBaseY = 0;
+  state.jumpCutTime = null;
+};
+
+// Ducking mid-jump drops the player straight back to the ground
+const startDuck = (state) => {
+  if (!state.isDucking) {
+    endJump(state);
+    state.playerY = 0;
+    state.isDucking = true;
+    state.duckStartTime = state.time;
+    emit(state, SIM_EVENTS.DUCK);
+  }
+};
+
+const startOrionJump = (state) => {
+  state.orionIsJumping = true;
+  state.orionJumpStartTime = state.time;
+  state.orionJumpAt = null;
+  emit(state, SIM_EVENTS.ORION_JUMP);
+};
+
+// The whistle makes Orion jump straight away, whatever is coming. When
+// player two controls Orion, only they can make it jump.
+const whistle = (state) => {
+  emit(state, SIM_EVENTS.WHISTLE);
+  if (!state.orionIsJumping && !state.config.ORION.PLAYER_CONTROLLED) {
+    startOrionJump(state);
+  }
+};
+
+const jumpOrion = (state) => {
+  if (state.config.ORION.PLAYER_CONTROLLED && !state.orionIsJumping) {
+    startOrionJump(state);
+  }
+};
+
+const applyInput = (state, action) => {
+  if (action === ACTIONS.JUMP) {
+    startJump(state);
+  } else if (action === ACTIONS.JUMP_RELEASE) {
+    releaseJump(state);
+  } else if (action === ACTIONS.DUCK) {
+    startDuck(state);
+  } else if (action === ACTIONS.WHISTLE) {
+    whistle(state);
+  } else if (action === ACTIONS.ORION_JUMP) {
+    jumpOrion(state);
+  }
+};
+
+// ----------------------------------------
+// Systems
+// ----------------------------------------
+
+const pickWeightedType = (state, typeMap) => {
+  const types = Object.values(typeMap);
+  const totalWeight = types.reduce((sum, type) => sum + type.SPAWN_WEIGHT, 0);
+  let roll = state.random() * totalWeight;
+  for (const type of types) {
+    roll -= type.SPAWN_WEIGHT;
+    if (roll < 0) {
+      return type;
+    }
+  }
+  return types[types.length - 1];
+};
+
+// Minimum gap leaves room to land and jump again at the current speed. The
+// speed before slow motion is used so gaps still fit once it wears off.
+const getNextGap = (state, type) => {
+  const { JUMP, OBSTACLE } = state.config;
+  const jumpDistance = state.baseSpeed * (JUMP.DURATION / 1000);
+  const minGap = jumpDistance * OBSTACLE.MIN_GAP_FACTOR + type.WIDTH;
+  const maxGap = jumpDistance * OBSTACLE.MAX_GAP_FACTOR + type.WIDTH;
+  return minGap + state.random() * (maxGap - minGap);
+};
+
+const spawnObstacle = (state, type, x = state.config.GAME.CONTAINER_WIDTH) => {
+  const obstacle = { id: state.nextObstacleId++, type, x };
+  state.obstacles.push(obstacle);
+  emit(state, SIM_EVENTS.OBSTACLE_SPAWNED, { obstacle });
+};
+
+/**
+ * Spawns the course items from `items[index]` on that scroll into view
+ * during a step covering `distance`, placed so that one at AT reaches the
+ * player when AT has been run. Returns the index of the next item to come.
+ */
+const spawnCourseItems = (state, items, index, distance, spawn) => {
+  const { GAME, PLAYER } = state.config;
+  const horizon =
+    state.distanceRan + distance + GAME.CONTAINER_WIDTH - PLAYER.INITIAL_LEFT;
+  let next = index;
+  while (next < items.length && items[next].AT <= horizon) {
+    spawn(
+      items[next],
+      PLAYER.INITIAL_LEFT + items[next].AT - state.distanceRan
+    );
+    next++;
+  }
+  return next;
+};
+
+// Only random spawns are held to POOL_SIZE. A course's placements always
+// spawn, however close together, so none of them are lost.
+const spawnRandomObstacles = (state, distance) => {
+  state.distanceToNextObstacle -= distance;
+  if (state.distanceToNextObstacle <= 0) {
+    const type = pickWeightedType(state, state.config.OBSTACLE.TYPES);
+    if (state.obstacles.length < state.config.OBSTACLE.POOL_SIZE) {
+      spawnObstacle(state, type);
+    }
+    state.distanceToNextObstacle = getNextGap(state, type);
+    // Collectibles go halfway between this obstacle and the next
+    state.distanceToNextCollectible =
+      state.random() < state.config.COLLECTIBLE.SPAWN_CHANCE
+        ? state.distanceToNextObstacle / 2
+        : null;
+  }
+};
+
+const updateObstacles = (state, dt) => {
+  const { COURSE, OBSTACLE } = state.config;
+  const distance = state.currentSpeed * dt;
+
+  // Courses place their obstacles; otherwise they come at random gaps
+  if (COURSE) {
+    state.nextCourseObstacle = spawnCourseItems(
+      state,
+      COURSE.OBSTACLES,
+      state.nextCourseObstacle,
+      distance,
+      (item, x) => spawnObstacle(state, OBSTACLE.TYPES[item.TYPE], x)
+    );
+  } else {
+    spawnRandomObstacles(state, distance);
+  }
+
+  state.obstacles = state.obstacles.filter((obstacle) => {
+    obstacle.x -= distance;
+    if (obstacle.x <= -obstacle.type.WIDTH) {
+      state.obstaclesCleared++;
+      state.bonusScore += obstacle.type.BONUS * getScoreFactor(state);
+      emit(state, SIM_EVENTS.OBSTACLE_CLEARED, { obstacle });
+      return false;
+    }
+    return true;
+  });
+};
+
+const getScoreFactor = (state) =>
+  isPowerUpActive(state, POWER_UP_TYPES.MULTIPLIER)
+    ? state.config.POWER_UPS.MULTIPLIER.SCORE_FACTOR
+    : 1;
+
+const spawnCollectible = (
+  state,
+  type,
+  x = state.config.GAME.CONTAINER_WIDTH
+) => {
+  state.collectibles.push({ id: state.nextCollectibleId++, type, x });
+};
+
+const updateCollectibles = (state, dt) => {
+  const { COURSE, COLLECTIBLE } = state.config;
+  const distance = state.currentSpeed * dt;
+
+  if (COURSE) {
+    state.nextCourseCollectible = spawnCourseItems(
+      state,
+      COURSE.COLLECTIBLES,
+      state.nextCourseCollectible,
+      distance,
+      (item, x) => spawnCollectible(state, COLLECTIBLE.TYPES[item.TYPE], x)
+    );
+  } else if (state.distanceToNextCollectible !== null) {
+    state.distanceToNextCollectible -= distance;
+    if (state.distanceToNextCollectible <= 0) {
+      state.distanceToNextCollectible = null;
+      const type = pickWeightedType(state, COLLECTIBLE.TYPES);
+      if (state.collectibles.length < COLLECTIBLE.POOL_SIZE) {
+        spawnCollectible(state, type);
+      }
+    }
+  }
+
+  state.collectibles = state.collectibles.filter((collectible) => {
+    collectible.x -= distance;
+    return collectible.x > -collectible.type.WIDTH;
+  });
+};
+
+const startPowerUp = (state, name) => {
+  const { DURATION } = state.config.POWER_UPS[name];
+  state.activePowerUps[name] = DURATION === null ? null : state.time + DURATION;
+  emit(state, SIM_EVENTS.POWER_UP_STARTED, { powerUp: name });
+};
+
+const endPowerUp = (state, name) => {
+  delete state.activePowerUps[name];
+  emit(state, SIM_EVENTS.POWER_UP_ENDED, { powerUp: name });
+};
+
+const collect = (state) => {
+  findCollected(state).forEach((collectible) => {
+    const { type } = collectible;
+    state.collectibles = state.collectibles.filter(
+      (item) => item !== collectible
+    );
+    state.bonusScore += type.POINTS * getScoreFactor(state);
+    emit(state, SIM_EVENTS.COLLECTED, { collectible });
+    if (type.POWER_UP) {
+      startPowerUp(state, type.POWER_UP);
+    }
+  });
+};
+
+const updatePowerUps = (state) => {
+  Object.entries(state.activePowerUps).forEach(([name, expiresAt]) => {
+    if (expiresAt !== null && state.time >= expiresAt) {
+      endPowerUp(state, name);
+    }
+  });
+};
+
+// Once cut, the jump falls from where it was with a fall time that shrinks
+// with the square root of the height, as a ballistic fall would.
+const updateCutJump = (state) => {
+  const { JUMP } = state.config;
+  const fallDuration =
+    (JUMP.DURATION / 2) * Math.sqrt(state.jumpCutY / JUMP.MAX_HEIGHT);
+  const fallProgress = Math.min(
+    (state.time - state.jumpCutTime) / fallDuration,
+    1
+  );
+  state.playerY = state.jumpCutY * Math.cos((fallProgress * Math.PI) / 2);
+  return fallProgress === 1;
+};
+
+const updateJump = (state) => {
+  const { JUMP } = state.config;
+  if (state.jumpCutTime !== null) {
+    return updateCutJump(state);
+  }
+
+  const ceiling = getJumpCeiling(state.config);
+  const { jumpY, jumpProgress, isJumpFinished } = calculateJumpPosition(
+    state.jumpStartTime,
+    state.time,
+    JUMP.DURATION,
+    state.jumpHeight
+  );
+  // Double jumps start in the air and blend back down to the ground
+  state.playerY = Math.min(
+    state.jumpBaseY * (1 - jumpProgress) + jumpY,
+    ceiling
+  );
+
+  const minimumY = state.jumpBaseY + JUMP.MAX_HEIGHT * JUMP.MIN_HEIGHT_FACTOR;
+  if (!state.isJumpHeld && jumpProgress < 0.5 && state.playerY >= minimumY) {
+    state.jumpCutTime = state.time;
+    state.jumpCutY = state.playerY;
+  }
+  return isJumpFinished;
+};
+
+const updatePlayer = (state) => {
+  const { DUCK } = state.config;
+
+  if (state.isJumping) {
+    if (updateJump(state)) {
+      endJump(state);
+      state.playerY = 0;
+    }
+  } else {
+    state.playerY = 0;
+  }
+
+  if (state.isDucking && state.time - state.duckStartTime >= DUCK.DURATION) {
+    state.isDucking = false;
+  }
+};
+
+const getOrionSkill = (state) => {
+  const { GAME, ORION } = state.config;
+  // A game that never speeds up keeps Orion at its starting skill
+  const speedRange = GAME.MAX_SPEED - GAME.STARTING_SPEED;
+  const speedFactor =
+    speedRange > 0
+      ? Math.min(
+          Math.max((state.currentSpeed - GAME.STARTING_SPEED) / speedRange, 0),
+          1
+        )
+      : 0;
+  const interpolate = ({ MIN, MAX }) => MIN + (MAX - MIN) * speedFactor;
+  return {
+    reactionDelay: interpolate(ORION.REACTION_DELAY),
+    errorRate: interpolate(ORION.ERROR_RATE),
+  };
+};
+
+const updateOrion = (state) => {
+  const { ORION, JUMP } = state.config;
+  const orionX = ORION.INITIAL_LEFT;
+  const obstacleSpeed = state.currentSpeed;
+
+  // Obstacles spawn in order, so the first one not yet past Orion is next.
+  // Orion is short enough to run underneath anything cleared by ducking.
+  const nextObstacle = state.obstacles.find(
+    (obstacle) =>
+      obstacle.type.CLEARED_BY === ACTIONS.JUMP &&
+      obstacle.x + obstacle.type.WIDTH > orionX
+  );
+
+  // Time until the obstacle is under Orion's middle, where the jump peaks
+  const timeToReachOrion = nextObstacle
+    ? (nextObstacle.x +
+        nextObstacle.type.WIDTH / 2 -
+        (orionX + ORION.WIDTH / 2)) /
+      obstacleSpeed
+    : Infinity;
+  const timeToJumpPeak = JUMP.DURATION / 2 / 1000;
+
+  // Orion decides once per obstacle, when it comes within a jump's reach,
+  // and then either misses it or jumps after its reaction delay. Player two
+  // decides for it in Two Players mode.
+  if (
+    !ORION.PLAYER_CONTROLLED &&
+    timeToReachOrion <= timeToJumpPeak &&
+    nextObstacle.id !== state.orionReactedTo
+  ) {
+    state.orionReactedTo = nextObstacle.id;
+    const { reactionDelay, errorRate } = getOrionSkill(state);
+    if (state.orionRandom() < errorRate) {
+      emit(state, SIM_EVENTS.ORION_MISSED, { obstacle: nextObstacle });
+    } else {
+      state.orionJumpAt = state.time + reactionDelay;
+    }
+  }
+
+  if (
+    !state.orionIsJumping &&
+    state.orionJumpAt !== null &&
+    state.time >= state.orionJumpAt
+  ) {
+    startOrionJump(state);
+  }
+
+  if (state.orionIsJumping) {
+    const { jumpY, isJumpFinished } = calculateJumpPosition(
+      state.orionJumpStartTime,
+      state.time,
+      JUMP.DURATION,
+      JUMP.MAX_HEIGHT,
+      getJumpCeiling(state.config)
+    );
+    state.orionY = jumpY;
+    if (isJumpFinished) {
+      state.orionIsJumping = false;
+    }
+  } else {
+    state.orionY = 0;
+  }
+};
+
+const updateScore = (state, dt) => {
+  const distance = state.currentSpeed * dt;
+  state.distanceRan += distance;
+  state.distanceScore +=
+    distance * state.config.SCORING.POINTS_PER_SECOND * getScoreFactor(state);
+  state.score = Math.floor(state.distanceScore) + state.bonusScore;
+};
+
+// Courses set the speed of each stretch; otherwise it rises at intervals
+const updateSpeed = (state) => {
+  const { GAME, POWER_UPS, COURSE } = state.config;
+  if (COURSE) {
+    const speed = getCourseSpeed(COURSE, state.distanceRan);
+    if (speed !== state.baseSpeed) {
+      state.baseSpeed = speed;
+      emit(state, SIM_EVENTS.SPEED_CHANGED, { speed });
+    }
+  } else if (
+    state.time - state.lastSpeedIncrementTime >=
+    GAME.SPEED_INCREMENT_INTERVAL
+  ) {
+    state.baseSpeed = Math.min(
+      state.baseSpeed + GAME.SPEED_INCREMENT_AMOUNT,
+      GAME.MAX_SPEED
+    );
+    state.lastSpeedIncrementTime = state.time;
+    emit(state, SIM_EVENTS.SPEED_CHANGED, { speed: state.baseSpeed });
+  }
+
+  state.currentSpeed = isPowerUpActive(state, POWER_UP_TYPES.SLOW_MOTION)
+    ? state.baseSpeed * POWER_UPS.SLOW_MOTION.SPEED_FACTOR
+    : state.baseSpeed;
+};
+
+// Costs a shared life, unless a shield takes the hit; the run ends when no
+// lives are left
+const handleCollision = (state, collision) => {
+  const { GAME } = state.config;
+  if (isPowerUpActive(state, POWER_UP_TYPES.SHIELD)) {
+    state.collisionDisabledUntil = state.time + GAME.HIT_GRACE_PERIOD;
+    endPowerUp(state, POWER_UP_TYPES.SHIELD);
+    return;
+  }
+
+  state.lives--;
+  if (state.lives > 0) {
+    state.collisionDisabledUntil = state.time + GAME.HIT_GRACE_PERIOD;
+    emit(state, SIM_EVENTS.HIT, { ...collision, lives: state.lives });
+    return;
+  }
+  state.crashed = true;
+  emit(state, SIM_EVENTS.CRASHED, collision);
+};
+
+const updateFinish = (state) => {
+  const { COURSE } = state.config;
+  if (COURSE && state.distanceRan >= COURSE.FINISH) {
+    state.finished = true;
+    emit(state, SIM_EVENTS.FINISHED, { score: state.score });
+  }
+};
+
+// ----------------------------------------
+// Step
+// ----------------------------------------
+
+/**
+ * Advances the simulation by one fixed step of `dt` seconds, applying the
+ * given ACTIONS first. The state is updated in place and returned; anything
+ * that happened during the step is listed in `state.events`.
+ */
+export const step = (state, inputs, dt) => {
+  state.events = [];
+  if (isRunOver(state)) {
+    return state;
+  }
+
+  state.tick++;
+  state.time += dt * 1000;
+
+  inputs.forEach((action) => applyInput(state, action));
+  updatePowerUps(state);
+  updateObstacles(state, dt);
+  updateCollectibles(state, dt);
+  updatePlayer(state);
+  collect(state);
+  updateOrion(state);
+  updateScore(state, dt);
+  updateSpeed(state);
+
+  const collision = findCollision(state);
+  if (collision) {
+    handleCollision(state, collision);
+  }
+  if (!state.crashed) {
+    updateFinish(state);
+  }
+
+  return state;
+};
+
+// ----------------------------------------
+// Resizing
+// ----------------------------------------
+
+/**
+ * Moves a run in progress onto a config built for another viewport (see
+ * resizeConfig). Horizontal positions scale with the container width and
+ * heights with the container height, so everything keeps its place relative
+ * to the characters.
+ */
+export const resizeSimulation = (state, config) => {
+  const scaleX =
+    config.GAME.CONTAINER_WIDTH / state.config.GAME.CONTAINER_WIDTH;
+  const scaleY =
+    config.GAME.CONTAINER_HEIGHT / state.config.GAME.CONTAINER_HEIGHT;
+
+  state.obstacles.forEach((obstacle) => {
+    obstacle.x *= scaleX;
+  });
+  state.collectibles.forEach((collectible) => {
+    collectible.x *= scaleX;
+  });
+  state.playerY *= scaleY;
+  state.jumpBaseY *= scaleY;
+  state.jumpHeight *= scaleY;
+  state.jumpCutY *= scaleY;
+  state.orionY *= scaleY;
+  state.config = config;
+  return state;
+};
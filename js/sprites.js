@@ -0,0 +1,80 @@
+// js/sprites.js
+//
+// Sprite animations from the manifest written by `npm run build:sprites`
+// (scripts/build-sprites.js). Frame sizes, counts, durations and anchors are
+// read from there instead of being copied into the stylesheet by hand.
+
+export const SPRITE_MANIFEST = 'assets/sprites.json';
+export const SPRITE_MANIFEST_VERSION = 1;
+
+// The animations the game draws, by their name in the manifest
+export const ANIMATIONS = {
+  PLAYER_RUN: 'player',
+  PLAYER_JUMP: 'player-jump',
+  ORION: 'orion',
+};
+
+export const loadSpriteManifest = async () => {
+  const response = await fetch(SPRITE_MANIFEST);
+  if (!response.ok) {
+    throw new Error(`Failed to load ${SPRITE_MANIFEST}: ${response.status}`);
+  }
+  const manifest = await response.json();
+  if (manifest.version !== SPRITE_MANIFEST_VERSION) {
+    throw new Error(`Unsupported sprite manifest version: ${manifest.version}`);
+  }
+  return manifest;
+};
+
+// Every sprite sheet the manifest refers to
+export const getSpriteImages = (manifest) => [
+  ...new Set(
+    Object.values(manifest.animations).map((animation) => animation.image)
+  ),
+];
+
+// Milliseconds for one pass through the frames
+export const getAnimationDuration = (animation) =>
+  animation.frames.reduce((total, frame) => total + frame.duration, 0);
+
+/**
+ * Index of the frame showing `time` milliseconds into an animation. Looping
+ * animations start over; the others hold their last frame.
+ */
+export const getAnimationFrame = (animation, time, isLooping = true) => {
+  const { frames } = animation;
+  let elapsed = isLooping ? time % getAnimationDuration(animation) : time;
+  for (let index = 0; index < frames.length; index++) {
+    elapsed -= frames[index].duration;
+    if (elapsed < 0) {
+      return index;
+    }
+  }
+  return frames.length - 1;
+};
+
+/**
+ * Sets the custom properties the stylesheet sizes, places and animates the
+ * sprites with, named after each animation: e.g. --player-width,
+ * --player-jump-anchor-y and --orion-image.
+ */
+export const applySpriteVariables = (manifest) => {
+  const root = document.documentElement;
+  Object.entries(manifest.animations).forEach(([name, animation]) => {
+    // Relative URLs in custom properties resolve against the stylesheet that
+    // uses them, so the image is given in full
+    const imageURL = new URL(animation.image, document.baseURI).href;
+    const properties = {
+      image: `url("${imageURL}")`,
+      width: `${animation.width}px`,
+      height: `${animation.height}px`,
+      frames: String(animation.frames.length),
+      duration: `${getAnimationDuration(animation)}ms`,
+      'anchor-x': `${animation.anchor.x}px`,
+      'anchor-y': `${animation.anchor.y}px`,
+    };
+    Object.entries(properties).forEach(([property, value]) =>
+      root.style.setProperty(`--${name}-${property}`, value)
+    );
+  });
+};
@@ -0,0 +1,237 @@
+// js/telemetry.js
+//
+// Structured game events for analysing play, e.g. where players crash, so
+// difficulty can be tuned from data. game.js emits events on a TelemetryBus,
+// which hands each one to every sink added to it: the console, an in-memory
+// buffer or an HTTP endpoint that receives them in batches. Opening the game
+// with ?telemetry=console logs events, and ?telemetry=<url> sends them to an
+// endpoint such as the stub server in scripts/telemetry-server.js.
+
+import { LOG_LEVELS } from './constants.js';
+import { log, logError } from './logger.js';
+
+// Bumped whenever the fields of an event change
+export const TELEMETRY_VERSION = 1;
+
+export const TELEMETRY_PARAM = 'telemetry';
+
+export const TELEMETRY_EVENTS = {
+  RUN_STARTED: 'runStarted',
+  JUMP: 'jump',
+  OBSTACLE_CLEARED: 'obstacleCleared',
+  SPEED_CHANGED: 'speedChanged',
+  PAUSED: 'paused',
+  RESUMED: 'resumed',
+  HIT: 'hit', // a life was lost but the run goes on
+  CRASHED: 'crashed',
+  RUN_ENDED: 'runEnded',
+};
+
+const CONSOLE_SINK = 'console';
+
+const MEMORY_LIMIT = 1000; // events the in-memory buffer keeps
+
+const HTTP_BATCH_SIZE = 20;
+const HTTP_FLUSH_INTERVAL = 5000; // milliseconds
+const HTTP_MAX_QUEUE = 500; // events kept while the endpoint is unreachable
+// Wait before retrying a failed batch, doubling after each failure in a row
+const HTTP_RETRY_DELAY = { MIN: 1000, MAX: 60000 }; // milliseconds
+
+// Short random ids telling sessions and runs apart
+export const createTelemetryId = () =>
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// ----------------------------------------
+// Bus
+// ----------------------------------------
+
+/**
+ * Stamps events with their type, time and the current context and passes
+ * them to the sinks. A sink is any object with `handle(event)`, and may
+ * have `flush()` to send what it has buffered.
+ */
+export class TelemetryBus {
+  constructor() {
+    this.sinks = [];
+    this.sessionId = createTelemetryId();
+    this.sequence = 0;
+    this.context = {};
+  }
+
+  addSink(sink) {
+    this.sinks.push(sink);
+    return this;
+  }
+
+  removeSink(sink) {
+    this.sinks = this.sinks.filter((other) => other !== sink);
+  }
+
+  // Fields added to every event from now on, e.g. the run's id and mode
+  setContext(context) {
+    this.context = context;
+  }
+
+  // Returns the event, or null if `type` is not one of TELEMETRY_EVENTS
+  emit(type, data = {}) {
+    if (!Object.values(TELEMETRY_EVENTS).includes(type)) {
+      log(`Unknown telemetry event: ${type}`, LOG_LEVELS.WARN);
+      return null;
+    }
+    // Stamped fields come last, so neither context nor data can replace them
+    const event = {
+      ...this.context,
+      ...data,
+      version: TELEMETRY_VERSION,
+      type,
+      time: Date.now(),
+      sessionId: this.sessionId,
+      sequence: this.sequence++,
+    };
+    // A failing sink must not stop the others or the game
+    this.sinks.forEach((sink) => {
+      try {
+        sink.handle(event);
+      } catch (error) {
+        logError(error);
+      }
+    });
+    return event;
+  }
+
+  flush() {
+    this.sinks.forEach((sink) => sink.flush && sink.flush());
+  }
+}
+
+// ----------------------------------------
+// Sinks
+// ----------------------------------------
+
+export class ConsoleSink {
+  handle(event) {
+    const { type, ...fields } = event;
+    log(`Telemetry ${type}: ${JSON.stringify(fields)}`, LOG_LEVELS.INFO);
+  }
+}
+
+// Keeps the latest events, oldest first
+export class MemorySink {
+  constructor(limit = MEMORY_LIMIT) {
+    this.limit = limit;
+    this.events = [];
+  }
+
+  handle(event) {
+    this.events.push(event);
+    if (this.events.length > this.limit) {
+      this.events.shift();
+    }
+  }
+
+  clear() {
+    this.events = [];
+  }
+}
+
+/**
+ * POSTs events to `endpoint` as `{ events: [...] }`, once `batchSize` have
+ * queued or `flushInterval` milliseconds after the first of a batch. Batches
+ * that fail are queued again, up to HTTP_MAX_QUEUE events, and retried with
+ * backoff (see HTTP_RETRY_DELAY), so an endpoint that is down is not sent a
+ * request for every batch.
+ */
+export class HttpSink {
+  constructor(
+    endpoint,
+    { batchSize = HTTP_BATCH_SIZE, flushInterval = HTTP_FLUSH_INTERVAL } = {}
+  ) {
+    this.endpoint = endpoint;
+    this.batchSize = batchSize;
+    this.flushInterval = flushInterval;
+    this.queue = [];
+    this.timer = null;
+    this.failures = 0; // failed flushes in a row
+  }
+
+  handle(event) {
+    this.queue.push(event);
+    if (this.queue.length > HTTP_MAX_QUEUE) {
+      this.queue.shift();
+    }
+    // While a failed batch waits to be retried, new events wait with it
+    if (this.failures) {
+      return;
+    }
+    if (this.queue.length >= this.batchSize) {
+      this.flush();
+    } else {
+      this.scheduleFlush(this.flushInterval);
+    }
+  }
+
+  scheduleFlush(delay) {
+    if (!this.timer) {
+      this.timer = setTimeout(() => this.flush(), delay);
+    }
+  }
+
+  async flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (!this.queue.length) {
+      return;
+    }
+
+    const batch = this.queue;
+    this.queue = [];
+    try {
+      // keepalive lets the last batch go out as the page is closed
+      const response = await fetch(this.endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ events: batch }),
+        keepalive: true,
+      });
+      if (!response.ok) {
+        throw new Error(`Telemetry endpoint responded ${response.status}`);
+      }
+      this.failures = 0;
+      // Events that arrived while the batch was sent, or during a backoff
+      if (this.queue.length) {
+        this.scheduleFlush(this.flushInterval);
+      }
+    } catch (error) {
+      logError(error);
+      this.queue = [...batch, ...this.queue].slice(-HTTP_MAX_QUEUE);
+      this.failures++;
+      clearTimeout(this.timer);
+      this.timer = null;
+      this.scheduleFlush(
+        Math.min(
+          HTTP_RETRY_DELAY.MIN * 2 ** (this.failures - 1),
+          HTTP_RETRY_DELAY.MAX
+        )
+      );
+    }
+  }
+}
+
+/**
+ * The sink a ?telemetry= value asks for: 'console', or the URL of an HTTP
+ * endpoint, resolved against the page. Returns null for anything else.
+ */
+export const createSinkFromParam = (value) => {
+  if (!value) {
+    return null;
+  }
+  if (value === CONSOLE_SINK) {
+    return new ConsoleSink();
+  }
+  try {
+    return new HttpSink(new URL(value, window.location.href).href);
+  } catch (error) {
+    logError(error);
+    return null;
+  }
+};
@@ -0,0 +1,112 @@
+// js/themes.js
+//
+// Biomes the run passes through and the day/night cycle laid over them. Both
+// follow the distance run, so a replay or ghost sees the same scenery.
+
+// OBSTACLE_SPRITES replaces the sprites of obstacle types by NAME; types that
+// are not listed keep their own. COLORS are CSS custom properties.
+export const BIOMES = [
+  {
+    NAME: 'park',
+    LABEL: 'Park',
+    SKY: 'assets/sky.svg',
+    GROUND: 'assets/ground.svg',
+    OBSTACLE_SPRITES: {},
+    COLORS: { '--hud-color': '#000', '--night-tint-color': '#0a1440' },
+  },
+  {
+    NAME: 'beach',
+    LABEL: 'Beach',
+    SKY: 'assets/sky-beach.svg',
+    GROUND: 'assets/ground-beach.svg',
+    OBSTACLE_SPRITES: {
+      'tall-hurdle': 'assets/obstacle-tall-beach.svg',
+      flying: 'assets/obstacle-flying-beach.svg',
+    },
+    COLORS: { '--hud-color': '#5a3b12', '--night-tint-color': '#2a1040' },
+  },
+  {
+    NAME: 'city-night',
+    LABEL: 'City at Night',
+    SKY: 'assets/sky-city-night.svg',
+    GROUND: 'assets/ground-city.svg',
+    OBSTACLE_SPRITES: {
+      'tall-hurdle': 'assets/obstacle-tall-city.svg',
+      flying: 'assets/obstacle-flying-city.svg',
+    },
+    COLORS: { '--hud-color': '#f5f5f5', '--night-tint-color': '#000814' },
+  },
+];
+
+// Every image a biome can show, for preloading
+export const THEME_ASSETS = [
+  ...new Set(
+    BIOMES.flatMap((biome) => [
+      biome.SKY,
+      biome.GROUND,
+      ...Object.values(biome.OBSTACLE_SPRITES),
+    ])
+  ),
+];
+
+/**
+ * Index into BIOMES of the biome a run starts in. It is part of the run's
+ * config, so replays show the same scenery; runs recorded before it existed
+ * start in the first one.
+ */
+export const getFirstBiome = (state) =>
+  (state.config.THEME && state.config.THEME.FIRST_BIOME) || 0;
+
+// Biomes follow each other in order and start over after the last one
+export const getBiomeAt = (config, distance, firstBiome = 0) =>
+  BIOMES[
+    (Math.floor(Math.max(distance, 0) / config.THEME.BIOME_DISTANCE) +
+      firstBiome) %
+      BIOMES.length
+  ];
+
+/**
+ * Returns what the scenery looks like `distance` pixels into a run that
+ * started in biome `firstBiome`: the current biome, the one after it and how
+ * far the crossfade between them has got (0 to 1), and how dark the night
+ * tint is.
+ */
+export const getThemeState = (config, distance, firstBiome = 0) => {
+  const { BIOME_DISTANCE, CROSSFADE_DISTANCE, DAY_DISTANCE, MAX_NIGHT_TINT } =
+    config.THEME;
+  const index = Math.floor(distance / BIOME_DISTANCE);
+  const intoBiome = distance - index * BIOME_DISTANCE;
+  const biomeIndex = index + firstBiome;
+  const fadeStart = BIOME_DISTANCE - CROSSFADE_DISTANCE;
+  const dayProgress = (distance % DAY_DISTANCE) / DAY_DISTANCE;
+
+  return {
+    biome: BIOMES[biomeIndex % BIOMES.length],
+    nextBiome: BIOMES[(biomeIndex + 1) % BIOMES.length],
+    blend: Math.min(
+      Math.max((intoBiome - fadeStart) / CROSSFADE_DISTANCE, 0),
+      1
+    ),
+    // Starts at midday, darkest halfway through the cycle
+    nightTint: (MAX_NIGHT_TINT * (1 - Math.cos(dayProgress * 2 * Math.PI))) / 2,
+  };
+};
+
+// The biome whose colors apply; they switch halfway through a crossfade
+export const getThemeColors = (theme) =>
+  (theme.blend < 0.5 ? theme.biome : theme.nextBiome).COLORS;
+
+/**
+ * The sprite for an obstacle, from the biome of the spot it stands on. That
+ * spot does not move as the obstacle scrolls, so neither does its sprite.
+ * Scenery is cosmetic, so `config` is the renderer's rather than the run's,
+ * which may come from a replay recorded before themes existed.
+ */
+export const getObstacleSprite = (config, state, obstacle) => {
+  const spot = state.distanceRan + obstacle.x - config.PLAYER.INITIAL_LEFT;
+  return (
+    getBiomeAt(config, spot, getFirstBiome(state)).OBSTACLE_SPRITES[
+      obstacle.type.NAME
+    ] || obstacle.type.SPRITE
+  );
+};
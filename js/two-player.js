@@ -0,0 +1,28 @@
+// js/two-player.js
+//
+// Two Players mode: local co-op where a second player jumps for Orion in
+// place of its AI. Player two has their own key, the second gamepad and the
+// left half of the touchscreen. Both players share one score, since a crash
+// by either of them costs the run, and the best score for each difficulty is
+// kept in localStorage.
+
+import { BestScores } from './records.js';
+import { applyDifficulty } from './settings.js';
+
+const TWO_PLAYER_RECORDS_KEY = 'twoPlayerRecords';
+const TWO_PLAYER_RECORDS_VERSION = 1;
+
+// The player's difficulty setting, with Orion handed to player two
+export const createTwoPlayerConfig = (config, settings) => {
+  const twoPlayerConfig = applyDifficulty(config, settings);
+  twoPlayerConfig.ORION.PLAYER_CONTROLLED = true;
+  return twoPlayerConfig;
+};
+
+// Best shared scores, by difficulty
+export const createTwoPlayerRecords = () =>
+  new BestScores(
+    TWO_PLAYER_RECORDS_KEY,
+    TWO_PLAYER_RECORDS_VERSION,
+    'two-player'
+  );
@@ -0,0 +1,100 @@
+// scripts/build-sprites.js
+//
+// Packs each animation's frames into a sprite sheet and writes the manifest
+// the game reads frame data from (js/sprites.js). Run `npm run build:sprites`
+// after adding or changing frames.
+//
+// Every folder under assets/ with an animation.json is an animation named
+// after the folder. Its frames are the folder's PNG files in name order, all
+// the same size, and are laid out in one row in assets/<name>_sprite_sheet.png
+// so CSS can step through them. animation.json may set:
+//
+//   frameDuration  milliseconds each frame shows (default 1000 / 30)
+//   anchor         { x, y }: the pixel of a frame placed on the character's
+//                  position, measured from its top left (default bottom left)
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { PNG } from 'pngjs';
+import { SPRITE_MANIFEST, SPRITE_MANIFEST_VERSION } from '../js/sprites.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const ASSETS_DIR = 'assets';
+const ANIMATION_FILE = 'animation.json';
+const DEFAULT_FRAME_DURATION = 33.333; // milliseconds, 30 frames a second
+
+const readPNG = (file) => PNG.sync.read(fs.readFileSync(file));
+
+const findAnimations = () =>
+  fs
+    .readdirSync(path.join(ROOT, ASSETS_DIR), { withFileTypes: true })
+    .filter(
+      (entry) =>
+        entry.isDirectory() &&
+        fs.existsSync(path.join(ROOT, ASSETS_DIR, entry.name, ANIMATION_FILE))
+    )
+    .map((entry) => entry.name)
+    .sort();
+
+const buildAnimation = (name) => {
+  const dir = path.join(ROOT, ASSETS_DIR, name);
+  const options = JSON.parse(
+    fs.readFileSync(path.join(dir, ANIMATION_FILE), 'utf8')
+  );
+  const files = fs
+    .readdirSync(dir)
+    .filter((file) => file.endsWith('.png'))
+    .sort();
+  if (!files.length) {
+    throw new Error(`${dir} has no PNG frames.`);
+  }
+
+  const images = files.map((file) => readPNG(path.join(dir, file)));
+  const { width, height } = images[0];
+  images.forEach((image, index) => {
+    if (image.width !== width || image.height !== height) {
+      throw new Error(
+        `${files[index]} is ${image.width}x${image.height}; the other frames of ${name} are ${width}x${height}.`
+      );
+    }
+  });
+
+  const sheet = new PNG({ width: width * images.length, height });
+  images.forEach((image, index) =>
+    PNG.bitblt(image, sheet, 0, 0, width, height, index * width, 0)
+  );
+  const image = `${ASSETS_DIR}/${name}_sprite_sheet.png`;
+  fs.writeFileSync(path.join(ROOT, image), PNG.sync.write(sheet));
+
+  const duration = options.frameDuration ?? DEFAULT_FRAME_DURATION;
+  return {
+    image,
+    width,
+    height,
+    anchor: options.anchor ?? { x: 0, y: height },
+    frames: images.map((_, index) => ({
+      x: index * width,
+      y: 0,
+      width,
+      height,
+      duration,
+    })),
+  };
+};
+
+const animations = Object.fromEntries(
+  findAnimations().map((name) => {
+    const animation = buildAnimation(name);
+    console.log(
+      `${animation.image}: ${animation.frames.length} frames of ${animation.width}x${animation.height}`
+    );
+    return [name, animation];
+  })
+);
+
+fs.writeFileSync(
+  path.join(ROOT, SPRITE_MANIFEST),
+  `${JSON.stringify({ version: SPRITE_MANIFEST_VERSION, animations }, null, 2)}\n`
+);
+console.log(`Wrote ${SPRITE_MANIFEST}.`);
@@ -0,0 +1,90 @@
+// scripts/telemetry-server.js
+//
+// A stub endpoint for the HTTP telemetry sink (js/telemetry.js), for trying
+// telemetry out locally. Run `npm run telemetry-server`, then open the game
+// with ?telemetry=http://localhost:8787/events. Each batch POSTed as
+// { events: [...] } is printed and appended to telemetry-events.jsonl, one
+// event per line. PORT and TELEMETRY_FILE change the port and the file.
+
+import fs from 'node:fs';
+import http from 'node:http';
+import process from 'node:process';
+
+const PORT = Number(process.env.PORT) || 8787;
+const EVENTS_PATH = '/events';
+const OUTPUT_FILE = process.env.TELEMETRY_FILE || 'telemetry-events.jsonl';
+const MAX_BODY_SIZE = 1024 * 1024; // bytes
+
+// The game is served from another origin, e.g. `npx serve`
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type',
+};
+
+const respond = (response, status, message = '') => {
+  response.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'text/plain' });
+  response.end(message);
+};
+
+const readBody = (request) =>
+  new Promise((resolve, reject) => {
+    let body = '';
+    request.setEncoding('utf8');
+    request.on('data', (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_SIZE) {
+        reject(new Error('Request body too large.'));
+        request.destroy();
+      }
+    });
+    request.on('end', () => resolve(body));
+    request.on('error', reject);
+  });
+
+const saveEvents = (events) => {
+  fs.appendFileSync(
+    OUTPUT_FILE,
+    events.map((event) => `${JSON.stringify(event)}\n`).join('')
+  );
+  events.forEach((event) =>
+    console.log(
+      `${new Date(event.time).toISOString()} ${event.type}`,
+      event.distance ?? ''
+    )
+  );
+};
+
+const server = http.createServer(async (request, response) => {
+  const { pathname } = new URL(request.url, `http://${request.headers.host}`);
+  if (pathname !== EVENTS_PATH) {
+    respond(response, 404, 'Not found');
+    return;
+  }
+  if (request.method === 'OPTIONS') {
+    respond(response, 204);
+    return;
+  }
+  if (request.method !== 'POST') {
+    respond(response, 405, 'Method not allowed');
+    return;
+  }
+
+  try {
+    const { events } = JSON.parse(await readBody(request));
+    if (!Array.isArray(events)) {
+      respond(response, 400, 'Expected { events: [...] }');
+      return;
+    }
+    saveEvents(events);
+    respond(response, 204);
+  } catch (error) {
+    respond(response, 400, error.message);
+  }
+});
+
+server.listen(PORT, () =>
+  console.log(
+    `Telemetry stub listening on http://localhost:${PORT}${EVENTS_PATH}, writing ${OUTPUT_FILE}.`
+  )
+);
@@ -0,0 +1,92 @@
+// sw.js
+//
+// Service worker that keeps the game playable offline. It caches every file
+// the game needs when installed and serves requests from that cache first.
+// A new version waits until the player accepts the update prompt.
+
+import { APP_FILES, ASSET_LIST } from './js/assets.js';
+import { SPRITE_MANIFEST, getSpriteImages } from './js/sprites.js';
+
+// Bump whenever a cached file changes, so players get the new files instead
+// of the cached ones
+const CACHE_VERSION = 7;
+
+const CACHE_PREFIX = 'orions-chase-';
+const CACHE_NAME = `${CACHE_PREFIX}v${CACHE_VERSION}`;
+
+// Sent by the page when the player accepts an update
+const SKIP_WAITING_MESSAGE = 'SKIP_WAITING';
+
+const PRECACHE_FILES = [
+  ...APP_FILES,
+  ...ASSET_LIST.images,
+  ...ASSET_LIST.audio,
+];
+
+// Skips the HTTP cache, which may still hold the previous version
+const freshRequest = (file) => new Request(file, { cache: 'reload' });
+
+// The sprite sheets are whichever the sprite manifest lists
+const getSpriteSheets = () =>
+  fetch(freshRequest(SPRITE_MANIFEST))
+    .then((response) => response.json())
+    .then(getSpriteImages);
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    Promise.all([caches.open(CACHE_NAME), getSpriteSheets()]).then(
+      ([cache, spriteSheets]) =>
+        cache.addAll([...PRECACHE_FILES, ...spriteSheets].map(freshRequest))
+    )
+  );
+});
+
+// Drops the caches of earlier versions
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) =>
+        Promise.all(
+          names
+            .filter(
+              (name) => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME
+            )
+            .map((name) => caches.delete(name))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data === SKIP_WAITING_MESSAGE) {
+    self.skipWaiting();
+  }
+});
+
+// Cache first. Files missing from the precache list are cached the first time
+// they are fetched.
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (
+    request.method !== 'GET' ||
+    new URL(request.url).origin !== self.location.origin
+  ) {
+    return;
+  }
+  event.respondWith(
+    caches.open(CACHE_NAME).then((cache) =>
+      cache.match(request, { ignoreSearch: true }).then(
+        (cached) =>
+          cached ||
+          fetch(request).then((response) => {
+            if (response.ok) {
+              cache.put(request, response.clone());
+            }
+            return response;
+          })
+      )
+    )
+  );
+});
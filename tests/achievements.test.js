@@ -0,0 +1,40 @@
+// tests/achievements.test.js
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { ACHIEVEMENTS } from '../js/achievements.js';
+import { createSimulationState } from '../js/simulation.js';
+import { createQuietConfig, stepFor } from './helpers.js';
+
+const findAchievement = (id) =>
+  ACHIEVEMENTS.find((achievement) => achievement.ID === id);
+
+test('top speed is earned once the run has sped up to MAX_SPEED', () => {
+  const config = createQuietConfig();
+  const { GAME } = config;
+  GAME.MAX_SPEED = GAME.STARTING_SPEED + GAME.SPEED_INCREMENT_AMOUNT;
+  const state = createSimulationState(config);
+  const { isEarned } = findAchievement('max-speed');
+
+  assert.equal(isEarned(state), false);
+  stepFor(state, GAME.SPEED_INCREMENT_INTERVAL + 100);
+  assert.equal(isEarned(state), true);
+});
+
+test('top speed cannot be earned in a game that never speeds up', () => {
+  const config = createQuietConfig();
+  config.GAME.MAX_SPEED = config.GAME.STARTING_SPEED;
+  const state = createSimulationState(config);
+
+  assert.equal(findAchievement('max-speed').isEarned(state), false);
+});
+
+test('lifetime achievements earn on their totals', () => {
+  const { isEarned, getProgress, TARGET } = findAchievement('obstacles-1000');
+  const totals = { obstaclesCleared: TARGET - 1, runs: 3 };
+
+  assert.equal(getProgress(totals), TARGET - 1);
+  assert.equal(isEarned(null, null, totals), false);
+  totals.obstaclesCleared++;
+  assert.equal(isEarned(null, null, totals), true);
+});
@@ -0,0 +1,36 @@
+// tests/assets.test.js
+
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { test } from 'node:test';
+import { APP_FILES, ASSET_LIST } from '../js/assets.js';
+import { SPRITE_MANIFEST, getSpriteImages } from '../js/sprites.js';
+import { readRepoFile } from './helpers.js';
+
+const repoRoot = new URL('../', import.meta.url);
+
+test('every file the service worker caches exists', () => {
+  const files = [
+    ...APP_FILES.filter((file) => file !== './'),
+    ...ASSET_LIST.images,
+    ...ASSET_LIST.audio,
+    SPRITE_MANIFEST,
+    ...getSpriteImages(JSON.parse(readRepoFile(SPRITE_MANIFEST))),
+  ];
+
+  files.forEach((file) => {
+    assert.ok(fs.existsSync(new URL(file, repoRoot)), `${file} is missing`);
+  });
+});
+
+test('every module is cached for offline play', () => {
+  const modules = fs
+    .readdirSync(new URL('js/', repoRoot))
+    .filter((file) => file.endsWith('.js'))
+    .map((file) => `js/${file}`);
+
+  assert.deepEqual(
+    modules.filter((module) => !APP_FILES.includes(module)),
+    []
+  );
+});
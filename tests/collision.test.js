@@ -0,0 +1,41 @@
+// tests/collision.test.js
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import {
+  MASK_COLUMNS,
+  MASK_ROWS,
+  getShapeSpan,
+  shapesOverlap,
+} from '../js/collision.js';
+
+// A mask whose rows are all [start, end)
+const createMask = (start, end) =>
+  Array.from({ length: MASK_ROWS }, () => [start, end]);
+
+// Only the left half of each row is solid
+const leftHalf = createMask(0, MASK_COLUMNS / 2);
+
+const box = { left: 0, bottom: 0, width: 100, height: 100 };
+
+test('a row of a mask spans its solid columns, scaled to the box', () => {
+  assert.deepEqual(getShapeSpan({ box, mask: leftHalf }, 50), [0, 50]);
+  assert.deepEqual(getShapeSpan({ box, mask: null }, 50), [0, 100]);
+  assert.equal(getShapeSpan({ box, mask: createMask(0, 0) }, 50), null);
+});
+
+test('overlapping boxes only collide where their masks are solid', () => {
+  const player = { box, mask: leftHalf };
+  const obstacle = (left) => ({ box: { ...box, left }, mask: null });
+
+  assert.equal(shapesOverlap(player, obstacle(60)), false);
+  assert.equal(shapesOverlap(player, obstacle(40)), true);
+});
+
+test('shapes without masks collide when their boxes overlap', () => {
+  const other = { box: { ...box, left: 99, bottom: 99 }, mask: null };
+
+  assert.equal(shapesOverlap({ box, mask: null }, other), true);
+  other.box.left = 100;
+  assert.equal(shapesOverlap({ box, mask: null }, other), false);
+});
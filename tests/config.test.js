@@ -0,0 +1,24 @@
+// tests/config.test.js
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { getConfigValue, withConfigValue } from '../js/config.js';
+import { createTestConfig, resizeTestConfig } from './helpers.js';
+
+test('a config value can be replaced without touching the original', () => {
+  const config = createTestConfig();
+  const path = ['OBSTACLE', 'TYPES', 'FLYING', 'HITBOX_REDUCTION'];
+  const tuned = withConfigValue(config, path, 0.5);
+
+  assert.equal(getConfigValue(tuned, path), 0.5);
+  assert.equal(getConfigValue(config, path), 0.2);
+});
+
+test('resizing scales the layout but keeps tuned values', () => {
+  const config = withConfigValue(createTestConfig(), ['JUMP', 'DURATION'], 900);
+  const resized = resizeTestConfig(config, { width: 960, height: 540 });
+
+  assert.equal(resized.PLAYER.INITIAL_LEFT, config.PLAYER.INITIAL_LEFT / 2);
+  assert.equal(resized.JUMP.MAX_HEIGHT, config.JUMP.MAX_HEIGHT / 2);
+  assert.equal(resized.JUMP.DURATION, 900);
+});
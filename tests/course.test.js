@@ -0,0 +1,95 @@
+// tests/course.test.js
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import {
+  COURSE_FILES,
+  checkCourse,
+  createCourseConfig,
+  createEmptyCourse,
+  parseCourse,
+} from '../js/course.js';
+import { SIM_EVENTS, createSimulationState } from '../js/simulation.js';
+import { createTestConfig, readRepoFile, stepUntil } from './helpers.js';
+
+test('the built-in courses are valid', () => {
+  const config = createTestConfig();
+  COURSE_FILES.forEach((file) => {
+    const course = parseCourse(readRepoFile(file), config);
+    assert.ok(course.obstacles.length > 0, file);
+  });
+});
+
+test('placements and speeds are sorted by distance', () => {
+  const course = checkCourse(
+    {
+      ...createEmptyCourse(),
+      speeds: [
+        { at: 3000, speed: 500 },
+        { at: 0, speed: 400 },
+      ],
+      obstacles: [
+        { at: 2000, type: 'tall-hurdle' },
+        { at: 1000, type: 'low-hurdle' },
+      ],
+      collectibles: [{ at: 1500, type: 'treat' }],
+    },
+    createTestConfig()
+  );
+
+  assert.deepEqual(
+    course.speeds.map((segment) => segment.at),
+    [0, 3000]
+  );
+  assert.deepEqual(
+    course.obstacles.map((item) => item.type),
+    ['low-hurdle', 'tall-hurdle']
+  );
+});
+
+test('invalid courses are rejected with the problem found', () => {
+  const config = createTestConfig();
+  const check = (changes) => () =>
+    checkCourse({ ...createEmptyCourse(), ...changes }, config);
+
+  assert.throws(check({ version: 2 }), /Unsupported course version/);
+  assert.throws(check({ name: ' ' }), /needs a name/);
+  assert.throws(check({ theme: 'moon' }), /Unknown course theme/);
+  assert.throws(check({ finish: 0 }), /finish above 0/);
+  assert.throws(check({ lives: 10 }), /Lives must be/);
+  assert.throws(
+    check({ speeds: [{ at: 100, speed: 400 }] }),
+    /first speed has to start at 0/
+  );
+  assert.throws(
+    check({ obstacles: [{ at: 100, type: 'boulder' }] }),
+    /Unknown type in the course's obstacles: boulder/
+  );
+  assert.throws(
+    check({ collectibles: [{ at: -1, type: 'treat' }] }),
+    /needs an "at" of 0 or more/
+  );
+  assert.throws(() => parseCourse('{', config), SyntaxError);
+});
+
+test('every placement spawns, even more than the obstacle pool holds', () => {
+  const config = createTestConfig();
+  const obstacles = Array.from({ length: 10 }, (_, index) => ({
+    at: 1000 + index * 80,
+    type: 'low-hurdle',
+  }));
+  const course = checkCourse({ ...createEmptyCourse(), obstacles }, config);
+  const courseConfig = createCourseConfig(config, course);
+  const state = createSimulationState(courseConfig, { seed: 1 });
+
+  const events = stepUntil(
+    state,
+    () => state.nextCourseObstacle === obstacles.length
+  );
+  assert.ok(obstacles.length > courseConfig.OBSTACLE.POOL_SIZE);
+  assert.equal(
+    events.filter((event) => event.type === SIM_EVENTS.OBSTACLE_SPAWNED).length,
+    obstacles.length
+  );
+  assert.equal(state.obstacles.length, obstacles.length);
+});
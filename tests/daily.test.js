@@ -0,0 +1,34 @@
+// tests/daily.test.js
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import {
+  createDailyConfig,
+  formatCountdown,
+  getDailyKey,
+  getDailySeed,
+  getTimeUntilNextDaily,
+} from '../js/daily.js';
+import { createTestConfig } from './helpers.js';
+
+test('days follow UTC', () => {
+  const lateInUTC = new Date('2024-05-17T23:30:00.000Z');
+
+  assert.equal(getDailyKey(lateInUTC), '2024-05-17');
+  assert.equal(getTimeUntilNextDaily(lateInUTC), 30 * 60 * 1000);
+});
+
+test('each day has its own course, the same for everyone', () => {
+  const config = createTestConfig();
+  const today = createDailyConfig(config, '2024-05-17');
+
+  assert.deepEqual(createDailyConfig(config, '2024-05-17'), today);
+  assert.notEqual(getDailySeed('2024-05-17'), getDailySeed('2024-05-18'));
+  assert.equal(today.DAILY, '2024-05-17');
+  assert.ok(today.GAME.MAX_SPEED > today.GAME.STARTING_SPEED);
+});
+
+test('the countdown shows hours, minutes and seconds', () => {
+  assert.equal(formatCountdown((7 * 3600 + 4 * 60 + 9) * 1000), '07:04:09');
+  assert.equal(formatCountdown(-500), '00:00:00');
+});
@@ -0,0 +1,57 @@
+// tests/ghost.test.js
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { ACTIONS } from '../js/constants.js';
+import { GhostRecorder, getGhostFrame } from '../js/ghost.js';
+import { createSimulationState, step } from '../js/simulation.js';
+import { createQuietConfig } from './helpers.js';
+
+const JUMP_TICK = 10;
+
+// Records a short run with one jump, keeping the distance after each step
+const recordGhost = (ticks) => {
+  const config = createQuietConfig();
+  const sim = createSimulationState(config, { seed: 1 });
+  const recorder = new GhostRecorder();
+  const distances = [];
+  recorder.start(config);
+  for (let tick = 0; tick < ticks; tick++) {
+    step(sim, sim.tick === JUMP_TICK - 1 ? [ACTIONS.JUMP] : [], 1 / config.FPS);
+    recorder.record(sim);
+    distances.push(sim.distanceRan);
+  }
+  return { track: recorder.finish(sim), distances, sim };
+};
+
+test('the ghost is where the recorded run was on the same tick', () => {
+  const { track, distances } = recordGhost(60);
+
+  [1, 20, 60].forEach((tick) => {
+    const frame = getGhostFrame(track, tick);
+    assert.equal(frame.distance, Math.round(distances[tick - 1]));
+    assert.equal(frame.finished, false);
+  });
+});
+
+test('the ghost jumps where the recorded run jumped', () => {
+  const { track, sim } = recordGhost(60);
+  const jumpTicks = sim.config.JUMP.DURATION / (1000 / sim.config.FPS);
+
+  assert.deepEqual(track.jumps, [JUMP_TICK]);
+  assert.equal(getGhostFrame(track, JUMP_TICK - 1).isJumping, false);
+  assert.equal(getGhostFrame(track, JUMP_TICK + 5).isJumping, true);
+  assert.equal(
+    getGhostFrame(track, JUMP_TICK + Math.ceil(jumpTicks)).isJumping,
+    false
+  );
+});
+
+test('after its run ends the ghost stays at its final distance', () => {
+  const { track, distances } = recordGhost(30);
+  const frame = getGhostFrame(track, 45);
+
+  assert.equal(frame.finished, true);
+  assert.equal(frame.distance, Math.round(distances[29]));
+  assert.equal(frame.y, 0);
+});
@@ -0,0 +1,85 @@
+// tests/helpers.js
+//
+// Shared setup for the node:test suites. Builds the game's config the way
+// js/config.js does in the browser, from the custom properties on :root in
+// css/game-styles.css and the sprite manifest, at a fixed 1920x1080 viewport.
+
+import fs from 'node:fs';
+import { createConfig, resizeConfig } from '../js/config.js';
+import { step } from '../js/simulation.js';
+
+export const VIEWPORT = { width: 1920, height: 1080 };
+
+export const readRepoFile = (path) =>
+  fs.readFileSync(new URL(`../${path}`, import.meta.url), 'utf8');
+
+// '--player-jump-width' -> 'playerJumpWidth', the keys readCSSVars uses
+const toCamelCase = (name) =>
+  name.slice(2).replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+
+// The raw values of the custom properties on :root, as readCSSVars finds them
+const readStyleVars = () => {
+  const [, root] = readRepoFile('css/game-styles.css').match(
+    /:root\s*{([^}]*)}/
+  );
+  return Object.fromEntries(
+    [...root.matchAll(/(--[\w-]+):\s*([^;]+);/g)].map(([, name, value]) => [
+      toCamelCase(name),
+      value.trim(),
+    ])
+  );
+};
+
+// A fresh config for each test, so tests can tweak it freely
+export const createTestConfig = () =>
+  createConfig(
+    readStyleVars(),
+    VIEWPORT,
+    JSON.parse(readRepoFile('assets/sprites.json')).animations
+  );
+
+// Moves `config` onto another viewport, as a window resize does mid-run
+export const resizeTestConfig = (config, viewport) =>
+  resizeConfig(config, readStyleVars(), viewport);
+
+// No random obstacles ever spawn, for tests that place their own
+export const createQuietConfig = () => {
+  const config = createTestConfig();
+  config.OBSTACLE.FIRST_SPAWN_DELAY = Infinity;
+  return config;
+};
+
+/**
+ * Steps `state` at the config's frame rate until `predicate(state)` holds,
+ * applying `inputs` on the first step only. Returns the events of every
+ * step taken; throws if `maxSteps` pass first.
+ */
+export const stepUntil = (state, predicate, inputs = [], maxSteps = 1000) => {
+  const dt = 1 / state.config.FPS;
+  const events = [];
+  for (let count = 0; count < maxSteps; count++) {
+    step(state, count === 0 ? inputs : [], dt);
+    events.push(...state.events);
+    if (predicate(state)) {
+      return events;
+    }
+  }
+  throw new Error(`Condition not met within ${maxSteps} steps.`);
+};
+
+// Steps `state` for `ms` milliseconds of play
+export const stepFor = (state, ms, inputs = []) => {
+  const end = state.time + ms;
+  return stepUntil(state, () => state.time >= end - 1e-6, inputs);
+};
+
+// Gives the modules under test an empty localStorage, which Node lacks
+export const useMemoryStorage = () => {
+  const items = new Map();
+  globalThis.localStorage = {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+  };
+  return globalThis.localStorage;
+};
@@ -0,0 +1,59 @@
+// tests/input.test.js
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import {
+  COMMANDS,
+  DEFAULT_KEY_BINDINGS,
+  InputManager,
+  sanitizeKeyBindings,
+} from '../js/input.js';
+
+const createInput = () =>
+  new InputManager(sanitizeKeyBindings(), {
+    onPress: () => {},
+    onRelease: () => {},
+  });
+
+test('invalid bindings fall back to the defaults', () => {
+  const bindings = sanitizeKeyBindings({
+    [COMMANDS.JUMP]: ['KeyJ'],
+    [COMMANDS.DUCK]: [],
+    [COMMANDS.WHISTLE]: 'KeyW',
+  });
+
+  assert.deepEqual(bindings, {
+    ...DEFAULT_KEY_BINDINGS,
+    [COMMANDS.JUMP]: ['KeyJ'],
+  });
+});
+
+test('a captured key becomes the only one bound to the command', () => {
+  const input = createInput();
+  input.startCapture(COMMANDS.JUMP);
+
+  assert.equal(input.capture('KeyJ'), true);
+  assert.deepEqual(input.bindings[COMMANDS.JUMP], ['KeyJ']);
+  assert.equal(input.getCommandForKey('Space'), null);
+  assert.equal(input.isCapturing, false);
+});
+
+test("taking another command's only key swaps the two", () => {
+  const input = createInput();
+  input.startCapture(COMMANDS.WHISTLE);
+  input.capture('ArrowDown');
+
+  assert.deepEqual(input.bindings[COMMANDS.WHISTLE], ['ArrowDown']);
+  assert.deepEqual(input.bindings[COMMANDS.DUCK], ['KeyW']);
+});
+
+test('Escape cancels a capture', () => {
+  const input = createInput();
+  input.startCapture(COMMANDS.JUMP);
+
+  assert.equal(input.capture('Escape'), false);
+  assert.deepEqual(
+    input.bindings[COMMANDS.JUMP],
+    DEFAULT_KEY_BINDINGS[COMMANDS.JUMP]
+  );
+});
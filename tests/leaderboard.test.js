@@ -0,0 +1,87 @@
+// tests/leaderboard.test.js
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import {
+  LEADERBOARD_VERSION,
+  MAX_ENTRIES,
+  parseLeaderboard,
+} from '../js/leaderboard.js';
+
+const createEntry = (fields = {}) => ({
+  difficulty: 'normal',
+  initials: 'ABC',
+  score: 100,
+  date: '2024-01-01T00:00:00.000Z',
+  distance: 1000,
+  obstaclesCleared: 5,
+  topSpeed: 420,
+  ...fields,
+});
+
+test('version 1 leaderboards are migrated, with their runs on Normal', () => {
+  const v1Entry = createEntry({ initials: 'OLD' });
+  delete v1Entry.difficulty;
+  const data = parseLeaderboard(
+    JSON.stringify({ version: 1, entries: [v1Entry] })
+  );
+
+  assert.equal(data.version, LEADERBOARD_VERSION);
+  assert.deepEqual(data.entries, [createEntry({ initials: 'OLD' })]);
+});
+
+test('unsupported versions throw', () => {
+  assert.throws(
+    () => parseLeaderboard(JSON.stringify({ version: 99, entries: [] })),
+    { message: 'Unsupported leaderboard version: 99' }
+  );
+});
+
+test('malformed entries are dropped', () => {
+  const data = parseLeaderboard(
+    JSON.stringify({
+      version: LEADERBOARD_VERSION,
+      entries: [createEntry(), createEntry({ score: '100' }), null, {}],
+    })
+  );
+
+  assert.deepEqual(data.entries, [createEntry()]);
+});
+
+test('entries are sorted and trimmed per difficulty', () => {
+  const normal = Array.from({ length: MAX_ENTRIES + 2 }, (_, index) =>
+    createEntry({ score: index })
+  );
+  const hard = createEntry({ difficulty: 'hard', score: 5 });
+  const data = parseLeaderboard(
+    JSON.stringify({
+      version: LEADERBOARD_VERSION,
+      entries: [...normal, hard],
+    })
+  );
+  const scores = (difficulty) =>
+    data.entries
+      .filter((entry) => entry.difficulty === difficulty)
+      .map((entry) => entry.score);
+
+  assert.equal(scores('normal').length, MAX_ENTRIES);
+  assert.deepEqual(
+    scores('normal'),
+    [...scores('normal')].sort((a, b) => b - a)
+  );
+  assert.equal(scores('normal')[0], MAX_ENTRIES + 1);
+  assert.deepEqual(scores('hard'), [5]);
+});
+
+test('ties go to the older run', () => {
+  const older = createEntry({ initials: 'OLD' });
+  const newer = createEntry({
+    initials: 'NEW',
+    date: '2024-02-01T00:00:00.000Z',
+  });
+  const data = parseLeaderboard(
+    JSON.stringify({ version: LEADERBOARD_VERSION, entries: [newer, older] })
+  );
+
+  assert.deepEqual(data.entries, [older, newer]);
+});
@@ -0,0 +1,63 @@
+// tests/records.test.js
+
+import assert from 'node:assert/strict';
+import { beforeEach, test } from 'node:test';
+import { DailyRecords, getDailyKey } from '../js/daily.js';
+import { BestScores } from '../js/records.js';
+import { useMemoryStorage } from './helpers.js';
+
+const KEY = 'testBests';
+
+let storage;
+beforeEach(() => {
+  storage = useMemoryStorage();
+});
+
+test('best scores are kept by name and survive a reload', () => {
+  const bests = new BestScores(KEY, 1, 'test').load();
+
+  assert.equal(bests.recordScore('a', 100), true);
+  assert.equal(bests.recordScore('a', 50), false);
+  assert.equal(new BestScores(KEY, 1, 'test').load().getBest('a'), 100);
+  assert.equal(bests.getBest('toString'), 0);
+});
+
+test('stored bests of another version are ignored', () => {
+  storage.setItem(KEY, JSON.stringify({ version: 2, bests: { a: 100 } }));
+
+  assert.equal(new BestScores(KEY, 1, 'test').load().getBest('a'), 0);
+});
+
+test('malformed stored bests fall back to none', () => {
+  const stored = [
+    { version: 1, bests: 'a' },
+    { version: 1, bests: null },
+    { version: 1, bests: [100] },
+    { version: 1, bests: { a: 'lots' } },
+    { version: 1 },
+    [],
+  ];
+
+  stored.forEach((records) => {
+    storage.setItem(KEY, JSON.stringify(records));
+    const bests = new BestScores(KEY, 1, 'test').load();
+
+    assert.deepEqual(bests.records, { version: 1, bests: {} });
+    assert.equal(bests.recordScore('a', 10), true);
+  });
+});
+
+test("a malformed daily record falls back to today's", () => {
+  storage.setItem(
+    'dailyRun',
+    JSON.stringify({ version: 1, key: 7, best: -1, attempts: 'x' })
+  );
+  const records = new DailyRecords().load();
+
+  assert.deepEqual(records.get(getDailyKey()), {
+    version: 1,
+    key: getDailyKey(),
+    best: 0,
+    attempts: 0,
+  });
+});
@@ -0,0 +1,124 @@
+// tests/replay.test.js
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { ACTIONS } from '../js/constants.js';
+import {
+  REPLAY_VERSION,
+  ReplayRecorder,
+  parseRecording,
+  verifyRecording,
+} from '../js/replay.js';
+import {
+  SIM_EVENTS,
+  createSimulationState,
+  getPlayerBox,
+  resizeSimulation,
+  step,
+} from '../js/simulation.js';
+import { createTestConfig, resizeTestConfig } from './helpers.js';
+
+const RUN_TICKS = 450;
+const RESIZE_TICK = 150;
+const JUMP_LEAD = 0.2; // seconds before an obstacle reaches the player
+
+// Jumps or ducks for the next obstacle when it is about to reach the player
+const chooseAction = (sim) => {
+  const { left, width } = getPlayerBox(sim);
+  const next = sim.obstacles.find(
+    (obstacle) => obstacle.x + obstacle.type.WIDTH > left
+  );
+  if (!next || sim.isJumping || sim.isDucking) {
+    return null;
+  }
+  const timeToReach = (next.x - (left + width)) / sim.currentSpeed;
+  return timeToReach < JUMP_LEAD ? next.type.CLEARED_BY : null;
+};
+
+// Records a run with random obstacles that a bot clears, resizing the window
+// partway through, and saves it as JSON
+const recordRun = () => {
+  const config = createTestConfig();
+  const sim = createSimulationState(config, { seed: 1234 });
+  const recorder = new ReplayRecorder();
+  recorder.start(sim.seed, config);
+
+  while (!sim.crashed && sim.tick < RUN_TICKS) {
+    if (sim.tick === RESIZE_TICK) {
+      const resized = resizeTestConfig(sim.config, {
+        width: 2560,
+        height: 1440,
+      });
+      resizeSimulation(sim, resized);
+      recorder.recordResize(sim.tick, resized);
+    }
+    const action = chooseAction(sim);
+    const inputs = action ? [action] : [];
+    inputs.forEach((input) => recorder.record(sim.tick, input));
+    step(sim, inputs, 1 / config.FPS);
+  }
+  return JSON.stringify(recorder.finish(sim));
+};
+
+test('the same seed spawns the same obstacles', () => {
+  const spawnTypes = (seed) => {
+    const sim = createSimulationState(createTestConfig(), { seed });
+    const types = [];
+    for (let tick = 0; tick < 300; tick++) {
+      step(sim, [], 1 / sim.config.FPS);
+      sim.events
+        .filter((event) => event.type === SIM_EVENTS.OBSTACLE_SPAWNED)
+        .forEach((event) => types.push(event.obstacle.type.NAME));
+    }
+    return types;
+  };
+
+  assert.ok(spawnTypes(1).length > 1);
+  assert.deepEqual(spawnTypes(1), spawnTypes(1));
+});
+
+test('a recorded run verifies when played back headless', () => {
+  const recording = parseRecording(recordRun());
+  const result = verifyRecording(recording);
+
+  assert.equal(result.valid, true);
+  assert.equal(recording.finalTick, RUN_TICKS);
+  assert.equal(result.score, recording.finalScore);
+  assert.equal(result.tick, recording.finalTick);
+});
+
+test('a recording with a tampered score does not verify', () => {
+  const recording = parseRecording(recordRun());
+  recording.finalScore += 100;
+
+  assert.equal(verifyRecording(recording).valid, false);
+});
+
+test('a recording missing an action does not verify', () => {
+  const recording = parseRecording(recordRun());
+  const firstJump = recording.actions.findIndex(
+    (entry) => entry.action === ACTIONS.JUMP
+  );
+  recording.actions.splice(firstJump, 1);
+
+  assert.equal(verifyRecording(recording).valid, false);
+});
+
+test('recordings from other replay versions are rejected', () => {
+  const recording = JSON.parse(recordRun());
+  recording.version = REPLAY_VERSION + 1;
+
+  assert.throws(() => parseRecording(JSON.stringify(recording)), {
+    message: `Unsupported replay version: ${REPLAY_VERSION + 1}`,
+  });
+});
+
+test('recordings without a seed are rejected', () => {
+  const recording = JSON.parse(recordRun());
+  delete recording.seed;
+
+  assert.throws(
+    () => parseRecording(JSON.stringify(recording)),
+    /missing its seed/
+  );
+});
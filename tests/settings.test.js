@@ -0,0 +1,76 @@
+// tests/settings.test.js
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import {
+  CUSTOM_LIMITS,
+  DIFFICULTIES,
+  DIFFICULTY_PRESETS,
+  applyDifficulty,
+  sanitizeCustomPreset,
+} from '../js/settings.js';
+import { SIM_EVENTS, createSimulationState } from '../js/simulation.js';
+import { createQuietConfig, stepUntil } from './helpers.js';
+
+test('custom values are clamped, with defaults for missing ones', () => {
+  const preset = sanitizeCustomPreset({
+    STARTING_SPEED: 5000,
+    SPEED_INCREMENT_AMOUNT: 'fast',
+    LIVES: 2.6,
+  });
+
+  assert.equal(preset.STARTING_SPEED, CUSTOM_LIMITS.STARTING_SPEED.MAX);
+  assert.equal(
+    preset.SPEED_INCREMENT_AMOUNT,
+    DIFFICULTY_PRESETS[DIFFICULTIES.NORMAL].SPEED_INCREMENT_AMOUNT
+  );
+  assert.equal(preset.LIVES, 3);
+  assert.equal(preset.DOUBLE_JUMP, false);
+});
+
+test('a custom MAX_SPEED below STARTING_SPEED is raised to it', () => {
+  const preset = sanitizeCustomPreset({ STARTING_SPEED: 600, MAX_SPEED: 300 });
+
+  assert.equal(preset.MAX_SPEED, 600);
+});
+
+test('applying a difficulty leaves the base config untouched', () => {
+  const config = createQuietConfig();
+  const hard = applyDifficulty(config, { difficulty: DIFFICULTIES.HARD });
+
+  assert.equal(
+    hard.GAME.STARTING_SPEED,
+    DIFFICULTY_PRESETS[DIFFICULTIES.HARD].STARTING_SPEED
+  );
+  assert.equal(hard.DIFFICULTY, DIFFICULTIES.HARD);
+  assert.equal(
+    config.GAME.STARTING_SPEED,
+    createQuietConfig().GAME.STARTING_SPEED
+  );
+});
+
+test('Orion still jumps in a custom game that never speeds up', () => {
+  const config = applyDifficulty(createQuietConfig(), {
+    difficulty: DIFFICULTIES.CUSTOM,
+    custom: { STARTING_SPEED: 500, MAX_SPEED: 200 },
+  });
+  config.ORION.ERROR_RATE = { MIN: 0, MAX: 0 };
+  const state = createSimulationState(config);
+  stepUntil(state, () => state.time >= state.collisionDisabledUntil);
+  state.obstacles.push({
+    id: state.nextObstacleId++,
+    type: config.OBSTACLE.TYPES.LOW_HURDLE,
+    x: config.ORION.INITIAL_LEFT + config.ORION.WIDTH * 2,
+  });
+  const events = stepUntil(
+    state,
+    () => state.crashed || !state.obstacles.length
+  );
+
+  assert.equal(config.GAME.MAX_SPEED, config.GAME.STARTING_SPEED);
+  assert.equal(
+    events.filter((event) => event.type === SIM_EVENTS.ORION_JUMP).length,
+    1
+  );
+  assert.equal(state.crashed, false);
+});
@@ -0,0 +1,400 @@
+// tests/simulation.test.js
+
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { ACTIONS } from '../js/constants.js';
+import {
+  CHARACTERS,
+  POWER_UP_TYPES,
+  SIM_EVENTS,
+  createSimulationState,
+  getPlayerBox,
+  isPowerUpActive,
+  step,
+} from '../js/simulation.js';
+import { createQuietConfig, stepFor, stepUntil } from './helpers.js';
+
+const ofType = (events, type) => events.filter((event) => event.type === type);
+
+// Runs a whole jump, holding it unless `release` is set, and returns its
+// highest point and how long it lasted
+const measureJump = (state, { release = false } = {}) => {
+  const dt = 1 / state.config.FPS;
+  step(state, [ACTIONS.JUMP], dt);
+  const startTime = state.jumpStartTime;
+  let peak = state.playerY;
+  if (release) {
+    step(state, [ACTIONS.JUMP_RELEASE], dt);
+  }
+  stepUntil(state, () => {
+    peak = Math.max(peak, state.playerY);
+    return !state.isJumping;
+  });
+  return { peak, duration: state.time - startTime };
+};
+
+// Places an obstacle under the player once collisions are enabled
+const placeObstacle = (state, typeKey = 'LOW_HURDLE') => {
+  const { OBSTACLE, PLAYER } = state.config;
+  stepUntil(state, () => state.time >= state.collisionDisabledUntil);
+  const obstacle = {
+    id: state.nextObstacleId++,
+    type: OBSTACLE.TYPES[typeKey],
+    x: PLAYER.INITIAL_LEFT,
+  };
+  state.obstacles.push(obstacle);
+  return obstacle;
+};
+
+// Jumps through a collectible kept in line with the player until it is
+// collected, and returns the step's events
+const collectInJump = (state, typeKey) => {
+  const place = () => {
+    const { left, width } = getPlayerBox(state);
+    state.collectibles = [
+      {
+        id: state.nextCollectibleId++,
+        type: state.config.COLLECTIBLE.TYPES[typeKey],
+        x: left + width / 2,
+      },
+    ];
+  };
+  place();
+  stepUntil(state, () => {
+    if (ofType(state.events, SIM_EVENTS.COLLECTED).length) {
+      return true;
+    }
+    place();
+    return false;
+  }, [ACTIONS.JUMP]);
+  return state.events;
+};
+
+describe('jumping and ducking', () => {
+  test('a held jump peaks at the jump height and lands after its duration', () => {
+    const state = createSimulationState(createQuietConfig());
+    const { JUMP, FPS } = state.config;
+    const { peak, duration } = measureJump(state);
+
+    assert.ok(Math.abs(peak - JUMP.MAX_HEIGHT) < JUMP.MAX_HEIGHT * 0.01);
+    assert.ok(
+      duration >= JUMP.DURATION && duration < JUMP.DURATION + 1000 / FPS
+    );
+    assert.ok(Math.abs(state.playerY) < 1e-6);
+  });
+
+  test('releasing early cuts the jump, but not below its minimum height', () => {
+    const state = createSimulationState(createQuietConfig());
+    const { JUMP } = state.config;
+    const { peak, duration } = measureJump(state, { release: true });
+
+    assert.ok(peak < JUMP.MAX_HEIGHT * 0.9);
+    assert.ok(peak >= JUMP.MAX_HEIGHT * JUMP.MIN_HEIGHT_FACTOR);
+    assert.ok(duration < JUMP.DURATION);
+    assert.equal(state.playerY, 0);
+  });
+
+  test('jumping again in the air only works with DOUBLE_JUMP', () => {
+    for (const doubleJump of [false, true]) {
+      const config = createQuietConfig();
+      config.JUMP.DOUBLE_JUMP = doubleJump;
+      const state = createSimulationState(config);
+      stepFor(state, config.JUMP.DURATION / 4, [ACTIONS.JUMP]);
+      step(state, [ACTIONS.JUMP], 1 / config.FPS);
+
+      const jumps = ofType(state.events, SIM_EVENTS.JUMP);
+      assert.equal(state.jumpCount, doubleJump ? 2 : 1);
+      assert.deepEqual(
+        jumps.map((event) => event.isDoubleJump),
+        doubleJump ? [true] : []
+      );
+    }
+  });
+
+  test('a double jump climbs higher than a single one', () => {
+    const config = createQuietConfig();
+    config.JUMP.DOUBLE_JUMP = true;
+    const state = createSimulationState(config);
+    stepFor(state, config.JUMP.DURATION / 2, [ACTIONS.JUMP]);
+    let peak = 0;
+    stepUntil(state, () => {
+      peak = Math.max(peak, state.playerY);
+      return !state.isJumping;
+    }, [ACTIONS.JUMP]);
+
+    assert.ok(peak > config.JUMP.MAX_HEIGHT);
+    assert.equal(state.playerY, 0);
+  });
+
+  test('ducking mid-jump drops the player to the ground for a while', () => {
+    const state = createSimulationState(createQuietConfig());
+    const { DUCK, JUMP } = state.config;
+    stepFor(state, JUMP.DURATION / 4, [ACTIONS.JUMP]);
+    step(state, [ACTIONS.DUCK], 1 / state.config.FPS);
+
+    assert.equal(state.isJumping, false);
+    assert.equal(state.isDucking, true);
+    assert.equal(state.playerY, 0);
+    assert.equal(ofType(state.events, SIM_EVENTS.DUCK).length, 1);
+
+    stepFor(state, DUCK.DURATION);
+    assert.equal(state.isDucking, false);
+  });
+});
+
+describe('scoring and speed', () => {
+  test('the score rises every step with the distance run', () => {
+    const state = createSimulationState(createQuietConfig());
+    const { GAME, SCORING } = state.config;
+    const scores = [];
+    stepUntil(state, () => {
+      scores.push(state.score);
+      return state.time >= 1000;
+    });
+
+    scores.slice(1).forEach((score, index) => {
+      assert.ok(score > scores[index]);
+    });
+    assert.ok(Math.abs(state.distanceRan - GAME.STARTING_SPEED) < 1);
+    assert.equal(
+      state.score,
+      Math.floor(state.distanceRan * SCORING.POINTS_PER_SECOND)
+    );
+  });
+
+  test('the speed rises at each interval, up to MAX_SPEED', () => {
+    const config = createQuietConfig();
+    const { GAME } = config;
+    GAME.MAX_SPEED = GAME.STARTING_SPEED + GAME.SPEED_INCREMENT_AMOUNT * 1.5;
+    const state = createSimulationState(config);
+
+    const events = stepUntil(
+      state,
+      () => state.currentSpeed > GAME.STARTING_SPEED
+    );
+    assert.ok(
+      Math.abs(state.time - GAME.SPEED_INCREMENT_INTERVAL) < 1000 / config.FPS
+    );
+    assert.deepEqual(
+      ofType(events, SIM_EVENTS.SPEED_CHANGED).map((event) => event.speed),
+      [GAME.STARTING_SPEED + GAME.SPEED_INCREMENT_AMOUNT]
+    );
+
+    stepFor(state, GAME.SPEED_INCREMENT_INTERVAL * 3);
+    assert.equal(state.currentSpeed, GAME.MAX_SPEED);
+  });
+});
+
+describe('collisions', () => {
+  test('running into an obstacle crashes the run', () => {
+    const state = createSimulationState(createQuietConfig());
+    const obstacle = placeObstacle(state);
+    step(state, [], 1 / state.config.FPS);
+
+    assert.equal(state.crashed, true);
+    const [crash] = ofType(state.events, SIM_EVENTS.CRASHED);
+    assert.equal(crash.character, CHARACTERS.PLAYER);
+    assert.equal(crash.obstacle, obstacle);
+
+    const { tick } = state;
+    step(state, [ACTIONS.JUMP], 1 / state.config.FPS);
+    assert.equal(state.tick, tick);
+  });
+
+  test('with a life to spare, a hit only starts another grace period', () => {
+    const config = createQuietConfig();
+    config.GAME.LIVES = 2;
+    const state = createSimulationState(config);
+    placeObstacle(state);
+    step(state, [], 1 / config.FPS);
+
+    assert.equal(state.crashed, false);
+    assert.equal(state.lives, 1);
+    const [hit] = ofType(state.events, SIM_EVENTS.HIT);
+    assert.equal(hit.character, CHARACTERS.PLAYER);
+    assert.equal(
+      state.collisionDisabledUntil,
+      state.time + config.GAME.HIT_GRACE_PERIOD
+    );
+  });
+
+  test('obstacles are harmless during the grace period at the start', () => {
+    const state = createSimulationState(createQuietConfig());
+    state.obstacles.push({
+      id: state.nextObstacleId++,
+      type: state.config.OBSTACLE.TYPES.LOW_HURDLE,
+      x: state.config.PLAYER.INITIAL_LEFT,
+    });
+    step(state, [], 1 / state.config.FPS);
+
+    assert.equal(state.crashed, false);
+  });
+
+  test('jumping clears a low hurdle', () => {
+    const state = createSimulationState(createQuietConfig());
+    stepFor(state, state.config.GAME.COLLISION_GRACE_PERIOD);
+    stepFor(state, state.config.JUMP.DURATION / 3, [ACTIONS.JUMP]);
+    placeObstacle(state);
+    stepFor(state, 300);
+
+    assert.equal(state.crashed, false);
+  });
+
+  test('ducking passes under a flying obstacle', () => {
+    const state = createSimulationState(createQuietConfig());
+    stepFor(state, state.config.GAME.COLLISION_GRACE_PERIOD, [ACTIONS.DUCK]);
+    step(state, [ACTIONS.DUCK], 1 / state.config.FPS);
+    placeObstacle(state, 'FLYING');
+    stepFor(state, 200);
+
+    assert.equal(state.crashed, false);
+  });
+});
+
+describe('Orion', () => {
+  // A config where Orion never misses unless a test says otherwise
+  const createOrionConfig = () => {
+    const config = createQuietConfig();
+    config.ORION.ERROR_RATE = { MIN: 0, MAX: 0 };
+    return config;
+  };
+
+  // Places a hurdle a little ahead of Orion, behind the player, and steps
+  // until it has gone past or the run has crashed
+  const runOrionPast = (config) => {
+    const state = createSimulationState(config);
+    const { ORION, OBSTACLE } = config;
+    stepUntil(state, () => state.time >= state.collisionDisabledUntil);
+    state.obstacles.push({
+      id: state.nextObstacleId++,
+      type: OBSTACLE.TYPES.LOW_HURDLE,
+      x: ORION.INITIAL_LEFT + ORION.WIDTH * 2,
+    });
+    const events = stepUntil(
+      state,
+      () => state.crashed || !state.obstacles.length
+    );
+    return { state, events };
+  };
+
+  test('Orion jumps over obstacles on its own', () => {
+    const { state, events } = runOrionPast(createOrionConfig());
+
+    assert.equal(ofType(events, SIM_EVENTS.ORION_JUMP).length, 1);
+    assert.equal(state.crashed, false);
+  });
+
+  test('Orion still jumps when the game never speeds up', () => {
+    const config = createOrionConfig();
+    config.GAME.MAX_SPEED = config.GAME.STARTING_SPEED;
+    const { state, events } = runOrionPast(config);
+
+    assert.equal(ofType(events, SIM_EVENTS.ORION_JUMP).length, 1);
+    assert.equal(state.crashed, false);
+  });
+
+  test('an obstacle Orion misses crashes the run', () => {
+    const config = createOrionConfig();
+    config.ORION.ERROR_RATE = { MIN: 1, MAX: 1 };
+    const { state, events } = runOrionPast(config);
+
+    assert.equal(ofType(events, SIM_EVENTS.ORION_MISSED).length, 1);
+    assert.equal(state.crashed, true);
+    const [crash] = ofType(events, SIM_EVENTS.CRASHED);
+    assert.equal(crash.character, CHARACTERS.ORION);
+  });
+
+  test('whistling makes Orion jump straight away', () => {
+    const state = createSimulationState(createOrionConfig());
+    step(state, [ACTIONS.WHISTLE], 1 / state.config.FPS);
+
+    assert.equal(ofType(state.events, SIM_EVENTS.WHISTLE).length, 1);
+    assert.equal(ofType(state.events, SIM_EVENTS.ORION_JUMP).length, 1);
+    assert.equal(state.orionIsJumping, true);
+  });
+
+  test('when player two controls Orion, only they can make it jump', () => {
+    const config = createOrionConfig();
+    config.ORION.PLAYER_CONTROLLED = true;
+    const state = createSimulationState(config);
+    step(state, [ACTIONS.WHISTLE], 1 / config.FPS);
+    assert.equal(state.orionIsJumping, false);
+
+    step(state, [ACTIONS.ORION_JUMP], 1 / config.FPS);
+    assert.equal(state.orionIsJumping, true);
+  });
+
+  test('a player-controlled Orion crashes if nobody jumps for it', () => {
+    const config = createOrionConfig();
+    config.ORION.PLAYER_CONTROLLED = true;
+    const { state, events } = runOrionPast(config);
+
+    assert.equal(ofType(events, SIM_EVENTS.ORION_JUMP).length, 0);
+    assert.equal(state.crashed, true);
+    const [crash] = ofType(events, SIM_EVENTS.CRASHED);
+    assert.equal(crash.character, CHARACTERS.ORION);
+  });
+});
+
+describe('power-ups', () => {
+  test('a treat adds its points', () => {
+    const state = createSimulationState(createQuietConfig(), { seed: 1 });
+    const events = collectInJump(state, 'TREAT');
+
+    assert.equal(state.bonusScore, state.config.COLLECTIBLE.TYPES.TREAT.POINTS);
+    assert.equal(ofType(events, SIM_EVENTS.POWER_UP_STARTED).length, 0);
+  });
+
+  test('a shield takes one hit and is used up', () => {
+    const state = createSimulationState(createQuietConfig(), { seed: 1 });
+    collectInJump(state, 'SHIELD');
+    assert.equal(state.activePowerUps[POWER_UP_TYPES.SHIELD], null);
+
+    stepUntil(state, () => !state.isJumping);
+    placeObstacle(state);
+    step(state, [], 1 / state.config.FPS);
+
+    assert.equal(state.crashed, false);
+    assert.equal(state.lives, 1);
+    assert.equal(isPowerUpActive(state, POWER_UP_TYPES.SHIELD), false);
+    assert.deepEqual(
+      ofType(state.events, SIM_EVENTS.POWER_UP_ENDED).map((e) => e.powerUp),
+      [POWER_UP_TYPES.SHIELD]
+    );
+  });
+
+  test('the multiplier doubles the score from distance until it runs out', () => {
+    const state = createSimulationState(createQuietConfig(), { seed: 1 });
+    const { MULTIPLIER } = state.config.POWER_UPS;
+    collectInJump(state, 'MULTIPLIER');
+    const startTime = state.time;
+
+    const distance = state.distanceRan;
+    const distanceScore = state.distanceScore;
+    stepFor(state, 1000);
+    assert.ok(
+      Math.abs(
+        state.distanceScore -
+          distanceScore -
+          (state.distanceRan - distance) * MULTIPLIER.SCORE_FACTOR
+      ) < 1e-6
+    );
+
+    stepUntil(state, () => !isPowerUpActive(state, POWER_UP_TYPES.MULTIPLIER));
+    assert.ok(state.time - startTime >= MULTIPLIER.DURATION);
+  });
+
+  test('slow motion slows the run until it runs out', () => {
+    const state = createSimulationState(createQuietConfig(), { seed: 1 });
+    const { SLOW_MOTION } = state.config.POWER_UPS;
+    collectInJump(state, 'SLOW_MOTION');
+
+    assert.equal(
+      state.currentSpeed,
+      state.baseSpeed * SLOW_MOTION.SPEED_FACTOR
+    );
+    stepUntil(state, () => !isPowerUpActive(state, POWER_UP_TYPES.SLOW_MOTION));
+    step(state, [], 1 / state.config.FPS);
+    assert.equal(state.currentSpeed, state.baseSpeed);
+  });
+});
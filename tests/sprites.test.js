@@ -0,0 +1,39 @@
+// tests/sprites.test.js
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import {
+  ANIMATIONS,
+  SPRITE_MANIFEST,
+  SPRITE_MANIFEST_VERSION,
+  getAnimationDuration,
+  getAnimationFrame,
+} from '../js/sprites.js';
+import { readRepoFile } from './helpers.js';
+
+const manifest = JSON.parse(readRepoFile(SPRITE_MANIFEST));
+
+// Three frames of 100, 50 and 100 milliseconds
+const animation = {
+  frames: [{ duration: 100 }, { duration: 50 }, { duration: 100 }],
+};
+
+test('the manifest has every animation the game draws', () => {
+  assert.equal(manifest.version, SPRITE_MANIFEST_VERSION);
+  Object.values(ANIMATIONS).forEach((name) => {
+    assert.ok(manifest.animations[name].frames.length > 0, name);
+  });
+});
+
+test('frames follow their own durations', () => {
+  assert.equal(getAnimationDuration(animation), 250);
+  assert.deepEqual(
+    [0, 99, 100, 149, 150].map((time) => getAnimationFrame(animation, time)),
+    [0, 0, 1, 1, 2]
+  );
+});
+
+test('looping animations start over, the others hold their last frame', () => {
+  assert.equal(getAnimationFrame(animation, 260), 0);
+  assert.equal(getAnimationFrame(animation, 260, false), 2);
+});
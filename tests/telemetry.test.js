@@ -0,0 +1,113 @@
+// tests/telemetry.test.js
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { setImmediate } from 'node:timers';
+import {
+  HttpSink,
+  MemorySink,
+  TELEMETRY_EVENTS,
+  TELEMETRY_VERSION,
+  TelemetryBus,
+} from '../js/telemetry.js';
+
+test('events carry the context and data given', () => {
+  const sink = new MemorySink();
+  const bus = new TelemetryBus().addSink(sink);
+  bus.setContext({ runId: 'run-1', mode: 'endless' });
+  bus.emit(TELEMETRY_EVENTS.JUMP, { character: 'player' });
+
+  const [event] = sink.events;
+  assert.equal(event.type, TELEMETRY_EVENTS.JUMP);
+  assert.equal(event.runId, 'run-1');
+  assert.equal(event.mode, 'endless');
+  assert.equal(event.character, 'player');
+});
+
+test('context and data cannot replace the fields the bus stamps', () => {
+  const sink = new MemorySink();
+  const bus = new TelemetryBus().addSink(sink);
+  const reserved = {
+    version: 0,
+    type: 'forged',
+    time: 0,
+    sessionId: 'forged',
+    sequence: -1,
+  };
+  bus.setContext(reserved);
+  bus.emit(TELEMETRY_EVENTS.JUMP, reserved);
+  bus.emit(TELEMETRY_EVENTS.CRASHED, reserved);
+
+  sink.events.forEach((event, index) => {
+    assert.equal(event.version, TELEMETRY_VERSION);
+    assert.equal(event.sessionId, bus.sessionId);
+    assert.equal(event.sequence, index);
+    assert.ok(event.time > 0);
+  });
+  assert.deepEqual(
+    sink.events.map((event) => event.type),
+    [TELEMETRY_EVENTS.JUMP, TELEMETRY_EVENTS.CRASHED]
+  );
+});
+
+test('unknown event types are not emitted', () => {
+  const sink = new MemorySink();
+  const bus = new TelemetryBus().addSink(sink);
+
+  assert.equal(bus.emit('teleported'), null);
+  assert.deepEqual(sink.events, []);
+});
+
+// Lets a flush started by a timer finish
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+test('failed HTTP batches are retried with a growing delay', async (t) => {
+  const bodies = [];
+  let failuresLeft = 2;
+  t.mock.method(globalThis, 'fetch', async (url, { body }) => {
+    bodies.push(JSON.parse(body));
+    if (failuresLeft > 0) {
+      failuresLeft--;
+      return { ok: false, status: 503 };
+    }
+    return { ok: true, status: 204 };
+  });
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const sink = new HttpSink('http://localhost/events', { batchSize: 2 });
+
+  sink.handle({ type: TELEMETRY_EVENTS.JUMP });
+  sink.handle({ type: TELEMETRY_EVENTS.JUMP });
+  await settle();
+  assert.equal(bodies.length, 1);
+
+  // Events during the backoff do not send a batch of their own
+  sink.handle({ type: TELEMETRY_EVENTS.CRASHED });
+  sink.handle({ type: TELEMETRY_EVENTS.RUN_ENDED });
+  t.mock.timers.tick(999);
+  await settle();
+  assert.equal(bodies.length, 1);
+
+  t.mock.timers.tick(1);
+  await settle();
+  assert.equal(bodies.length, 2);
+
+  // The second failure in a row waits twice as long
+  t.mock.timers.tick(1999);
+  await settle();
+  assert.equal(bodies.length, 2);
+
+  t.mock.timers.tick(1);
+  await settle();
+  assert.equal(bodies.length, 3);
+  assert.deepEqual(
+    bodies[2].events.map((event) => event.type),
+    [
+      TELEMETRY_EVENTS.JUMP,
+      TELEMETRY_EVENTS.JUMP,
+      TELEMETRY_EVENTS.CRASHED,
+      TELEMETRY_EVENTS.RUN_ENDED,
+    ]
+  );
+  assert.deepEqual(sink.queue, []);
+  assert.equal(sink.failures, 0);
+});
@@ -0,0 +1,63 @@
+// tests/themes.test.js
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import {
+  BIOMES,
+  getBiomeAt,
+  getObstacleSprite,
+  getThemeState,
+} from '../js/themes.js';
+import { createTestConfig } from './helpers.js';
+
+const config = createTestConfig();
+const { BIOME_DISTANCE, CROSSFADE_DISTANCE, DAY_DISTANCE, MAX_NIGHT_TINT } =
+  config.THEME;
+
+test('biomes follow each other and start over after the last one', () => {
+  const names = Array.from(
+    { length: BIOMES.length + 1 },
+    (_, index) => getBiomeAt(config, index * BIOME_DISTANCE).NAME
+  );
+
+  assert.deepEqual(names, [...BIOMES.map((biome) => biome.NAME), 'park']);
+});
+
+test('a run can start in a later biome', () => {
+  const theme = getThemeState(config, BIOME_DISTANCE, BIOMES.length - 1);
+
+  assert.equal(getBiomeAt(config, 0, 1), BIOMES[1]);
+  assert.equal(theme.biome, BIOMES[0]);
+  assert.equal(theme.nextBiome, BIOMES[1]);
+});
+
+test('a biome crossfades into the next over its last stretch', () => {
+  const blendAt = (distance) => getThemeState(config, distance).blend;
+  const fadeStart = BIOME_DISTANCE - CROSSFADE_DISTANCE;
+
+  assert.equal(blendAt(fadeStart), 0);
+  assert.equal(blendAt(fadeStart + CROSSFADE_DISTANCE / 2), 0.5);
+  assert.equal(getThemeState(config, fadeStart).nextBiome, BIOMES[1]);
+});
+
+test('the night tint is clear at midday and darkest at midnight', () => {
+  const tintAt = (distance) => getThemeState(config, distance).nightTint;
+
+  assert.equal(tintAt(0), 0);
+  assert.equal(tintAt(DAY_DISTANCE / 2), MAX_NIGHT_TINT);
+  assert.ok(Math.abs(tintAt(DAY_DISTANCE)) < 1e-9);
+});
+
+test("an obstacle keeps its biome's sprite as it scrolls", () => {
+  const obstacle = {
+    type: config.OBSTACLE.TYPES.FLYING,
+    x: config.PLAYER.INITIAL_LEFT + 500,
+  };
+  const state = { config, distanceRan: BIOME_DISTANCE - 200 };
+  const sprite = getObstacleSprite(config, state, obstacle);
+
+  obstacle.x -= 400;
+  state.distanceRan += 400;
+  assert.equal(sprite, BIOMES[1].OBSTACLE_SPRITES.flying);
+  assert.equal(getObstacleSprite(config, state, obstacle), sprite);
+});